@@ -1,9 +1,11 @@
 import { Trie } from './trie.js';
-import { productList } from './data/productList.js';
+import { productList, categoryLabels } from './data/productList.js';
+import { ProductUsage } from './usage.js';
 
 /**
  * A class for implementing product autocomplete functionality using a Trie data structure.
  * Provides intelligent suggestions based on user input with configurable options.
+ * Other named entries, such as the client directory, can be suggested through `options.items`.
  */
 export class ProductAutocomplete {
     /**
@@ -14,17 +16,29 @@ export class ProductAutocomplete {
      * @param {boolean} [options.caseSensitive=false] - Whether suggestions are case-sensitive.
      * @param {boolean} [options.highlightMatch=true] - Whether to highlight matching text in suggestions.
      * @param {number} [options.debounceDelay=150] - Debounce delay in milliseconds for input events.
+     * @param {boolean} [options.fuzzy=true] - Whether to fall back to typo-tolerant matching when no product starts with the input.
+     * @param {Object[]} [options.items=productList] - Entries to suggest; the product catalog by default.
+     * @param {string} [options.nameField='nombre'] - Field holding the name of each entry.
+     * @param {function(Object): ?string} [options.describe] - Gets the secondary text shown next to a suggestion; the product category by default.
+     * @param {boolean} [options.learnUsage=true] - Whether to rank first the products used most in quotes.
      */
     constructor(options = {}) {
-        this.trie = new Trie();
+        this.trie = new Trie([], { tokenize: true });
+        this.items = options.items || productList;
         this.options = {
             minCharacters: options.minCharacters || 2,
             maxSuggestions: options.maxSuggestions || 10,
             caseSensitive: options.caseSensitive || false,
             highlightMatch: options.highlightMatch !== false, // Default true
-            debounceDelay: options.debounceDelay || 150
+            debounceDelay: options.debounceDelay || 150,
+            fuzzy: options.fuzzy !== false, // Default true
+            nameField: options.nameField || 'nombre',
+            describe: options.describe || (item => categoryLabels[item.categoria] || item.categoria),
+            learnUsage: options.learnUsage !== false // Default true
         };
         this.currentFocus = -1;
+        this.category = null; // Category key suggestions are limited to
+        this.categorySelect = null;
         this.debounceTimer = null;
         this.lastQuery = '';
         this.cachedResults = new Map(); // Cache
@@ -42,24 +56,115 @@ export class ProductAutocomplete {
      * Handles empty product list and case sensitivity.
      */
     initializeTrie() {
-        if (!productList?.length) {
-            console.error('Product dataset is empty. Autocomplete suggestions unavailable.');
+        this.catalog = new Map();
+        if (!this.items?.length) {
+            if (this.items === productList) {
+                console.error('Product dataset is empty. Autocomplete suggestions unavailable.');
+            }
             return;
         }
         
+        const names = this.items.map(item => this.getName(item));
+
         if (this.options.caseSensitive) {
-            this.originalProducts = productList;
-            this.processedProducts = productList;
+            this.originalProducts = names;
+            this.processedProducts = names;
         } else {
-            this.originalProducts = productList;
-            this.processedProducts = productList.map(item => item.toUpperCase());
+            this.originalProducts = names;
+            this.processedProducts = names.map(name => name.toUpperCase());
         }
-        
+
+        this.catalog = new Map(this.items.map(item => [this.getCatalogKey(this.getName(item)), item]));
         this.trie.bulkInsert(this.processedProducts);
+
+        if (!this.options.learnUsage) return;
+        ProductUsage.getWeights().forEach((weight, name) => {
+            if (this.findProduct(name)) {
+                this.trie.setWeight(this.getTrieEntry(name), weight);
+            }
+        });
+    }
+
+    /**
+     * Replace the suggested entries, rebuilding the Trie from scratch.
+     * @param {Object[]} items - New entries.
+     */
+    setItems(items) {
+        this.items = items;
+        this.trie = new Trie([], { tokenize: true });
+        this.clearCaches();
+        this.lastQuery = null;
+        this.initializeTrie();
+        this.renderCategoryOptions();
+    }
+
+    /**
+     * Get the name of an entry.
+     * @param {Object} item - Catalog entry (or other suggested entry).
+     * @returns {string} Its name.
+     */
+    getName(item) {
+        return item[this.options.nameField];
+    }
+
+    /**
+     * Get the entry a catalog name was inserted into the Trie as.
+     * @param {string} name - Catalog product name.
+     * @returns {string} The Trie entry.
+     */
+    getTrieEntry(name) {
+        return this.options.caseSensitive ? name : name.toUpperCase();
+    }
+
+    /**
+     * Record that a product was added to a quote, so that the products used most
+     * often and most recently are suggested first. Products not in the catalog are ignored.
+     * @param {string} name - Product name.
+     */
+    recordUsage(name) {
+        const item = this.findProduct(name);
+        if (!item) return;
+
+        const catalogName = this.getName(item);
+        this.trie.setWeight(this.getTrieEntry(catalogName), ProductUsage.record(catalogName));
+        this.cachedResults.clear();
+    }
+
+    /**
+     * Forget the learned usage and return to the default ranking of suggestions.
+     */
+    resetUsage() {
+        ProductUsage.reset();
+        this.trie.clearWeights();
+        this.cachedResults.clear();
+    }
+
+    /**
+     * Look up a catalog entry by its product name (case- and accent-insensitive).
+     * @param {string} name - Product name.
+     * @returns {?{sku: string, nombre: string, unidad: string, precio: number, categoria: string}} The catalog entry, or null if the name is not in the catalog.
+     */
+    findProduct(name) {
+        if (!name || !this.catalog) return null;
+        return this.catalog.get(this.getCatalogKey(name)) || null;
+    }
+
+    /**
+     * Get the key a product name is looked up by in the catalog.
+     * @param {string} name - Product name.
+     * @returns {string} The name without surrounding spaces, accents or case differences.
+     */
+    getCatalogKey(name) {
+        return Trie.normalize(name.trim()).toUpperCase();
     }
 
     /**
      * Retrieve autocomplete suggestions for a given prefix with caching.
+     * Any word of a product name can be matched, and every word of the input
+     * must match ("broca con" finds "BROCA PARA CONCRETO"). Exact matches come
+     * first; when there are none, typo-tolerant matches are used instead.
+     * Accents are ignored, so "METRICA" finds "CINTA MÉTRICA".
+     * When a category is selected, only products of that category are suggested.
      * @param {string} prefix - The input string to find suggestions for.
      * @returns {string[]} Array of matching product suggestions.
      */
@@ -68,13 +173,19 @@ export class ProductAutocomplete {
             return [];
         }
 
-        const cacheKey = this.options.caseSensitive ? prefix : prefix.toUpperCase();
+        const query = this.options.caseSensitive ? Trie.normalize(prefix) : Trie.normalize(prefix).toUpperCase();
+        const cacheKey = `${this.category || ''}:${query}`;
         
         if (this.cachedResults.has(cacheKey)) {
             return this.cachedResults.get(cacheKey);
         }
 
-        const suggestions = this.trie.getSuggestions(cacheKey);
+        // Filtering by category happens after the search, so every match is needed
+        const limit = this.category ? Infinity : this.options.maxSuggestions;
+        let suggestions = this.filterByCategory(this.trie.getSuggestions(query, limit));
+        if (!suggestions.length && this.options.fuzzy) {
+            suggestions = this.filterByCategory(this.trie.fuzzySearch(query, { limit }));
+        }
         const limitedSuggestions = suggestions.slice(0, this.options.maxSuggestions);
         
         if (this.cachedResults.size >= this.maxCacheSize) {
@@ -86,12 +197,45 @@ export class ProductAutocomplete {
         return limitedSuggestions;
     }
 
+    /**
+     * Keep only the suggestions belonging to the selected category.
+     * @param {string[]} suggestions - Product suggestions.
+     * @returns {string[]} The suggestions of the selected category, or all of them when none is selected.
+     */
+    filterByCategory(suggestions) {
+        if (!this.category) return suggestions;
+        return suggestions.filter(name => this.findProduct(name)?.categoria === this.category);
+    }
+
+    /**
+     * Limit suggestions to a category, or remove the limit.
+     * @param {?string} category - Category key, or an empty value for all categories.
+     */
+    setCategory(category) {
+        this.category = category || null;
+        this.lastQuery = null;
+        this.cachedResults.clear();
+    }
+
+    /**
+     * Get every product of a category, the most used first and then alphabetically.
+     * @param {string} category - Category key.
+     * @returns {string[]} Product names, as suggested.
+     */
+    getCategoryProducts(category) {
+        return this.items
+            .filter(item => item.categoria === category)
+            .map(item => this.getTrieEntry(this.getName(item)))
+            .sort((a, b) => this.trie.getWeight(b) - this.trie.getWeight(a) || a.localeCompare(b));
+    }
+
     /**
      * Set up autocomplete functionality for a specific input element.
      * @param {string} inputId - ID of the input element.
      * @param {string} suggestionsContainerId - ID of the container for suggestions.
+     * @param {string} [categorySelectId] - ID of a select used to browse and filter products by category.
      */
-    initializeAutocomplete(inputId, suggestionsContainerId) {
+    initializeAutocomplete(inputId, suggestionsContainerId, categorySelectId) {
         const input = document.getElementById(inputId);
         const suggestionsContainer = document.getElementById(suggestionsContainerId);
 
@@ -107,6 +251,63 @@ export class ProductAutocomplete {
         input.addEventListener('input', (e) => this.debouncedHandleInput(e.target, suggestionsContainer));
         
         this.setupEventListeners(input, suggestionsContainer);
+
+        if (categorySelectId) {
+            this.initializeCategoryFilter(document.getElementById(categorySelectId), input, suggestionsContainer);
+        }
+    }
+
+    /**
+     * Fill the category select and browse the products of the selected category.
+     * With an empty input, every product of the category is listed; otherwise
+     * the suggestions are limited to it.
+     * @param {?HTMLSelectElement} select - Category select.
+     * @param {HTMLInputElement} input - The input element.
+     * @param {HTMLElement} suggestionsContainer - Container for suggestions.
+     */
+    initializeCategoryFilter(select, input, suggestionsContainer) {
+        if (!select) {
+            console.error('Category select not found');
+            return;
+        }
+
+        this.categorySelect = select;
+        this.renderCategoryOptions();
+
+        select.addEventListener('change', () => {
+            this.setCategory(select.value);
+            this.handleInput(input, suggestionsContainer);
+            input.focus();
+        });
+
+        input.addEventListener('focus', () => {
+            if (this.category && !input.value.trim()) {
+                this.displaySuggestions(this.getCategoryProducts(this.category), suggestionsContainer, input, '');
+            }
+        });
+    }
+
+    /**
+     * Fill the category select with the categories of the entries: the known
+     * categories in their usual order, then any other category alphabetically.
+     * The selected category is kept while the entries still have it.
+     */
+    renderCategoryOptions() {
+        const select = this.categorySelect;
+        if (!select) return;
+
+        const present = new Set(this.items.map(item => item.categoria).filter(Boolean));
+        const known = Object.keys(categoryLabels).filter(key => present.has(key));
+        const others = [...present].filter(key => !categoryLabels[key]).sort((a, b) => a.localeCompare(b));
+
+        select.innerHTML = '';
+        select.appendChild(new Option('Todas las categorías', ''));
+        [...known, ...others].forEach(key => select.appendChild(new Option(categoryLabels[key] || key, key)));
+
+        if (this.category && !present.has(this.category)) {
+            this.setCategory(null);
+        }
+        select.value = this.category || '';
     }
 
     /**
@@ -137,6 +338,11 @@ export class ProductAutocomplete {
         }
         this.lastQuery = value;
 
+        if (!value && this.category) {
+            this.displaySuggestions(this.getCategoryProducts(this.category), suggestionsContainer, input, value);
+            return;
+        }
+
         if (value.length < this.options.minCharacters) {
             this.clearSuggestions(suggestionsContainer);
             return;
@@ -168,11 +374,23 @@ export class ProductAutocomplete {
             const div = document.createElement('div');
             div.className = 'suggestion-item';
             div.dataset.index = index;
-            
+            div.dataset.value = suggestion;
+
+            const name = document.createElement('span');
             if (this.options.highlightMatch) {
-                div.innerHTML = this.highlightMatchedText(suggestion, inputValue);
+                name.appendChild(this.highlightMatchedText(suggestion, inputValue));
             } else {
-                div.textContent = suggestion;
+                name.textContent = suggestion;
+            }
+            div.appendChild(name);
+
+            const item = this.findProduct(suggestion);
+            const description = item && this.options.describe(item);
+            if (description) {
+                const detail = document.createElement('span');
+                detail.className = 'suggestion-detail';
+                detail.textContent = description;
+                div.appendChild(detail);
             }
 
             // Use event delegation instead of individual listeners
@@ -184,19 +402,27 @@ export class ProductAutocomplete {
     }
 
     /**
-     * Highlight the matching part of a suggestion with cached regex.
+     * Highlight the parts of a suggestion matching each word of the input with cached regex.
+     * Matching ignores accents, but the suggestion is returned with its own accents.
+     * The text is added as text nodes, never parsed as HTML, since suggestions
+     * come from imported catalogs and saved client names.
      * @param {string} suggestion - The full suggestion string.
      * @param {string} inputValue - The input value to match.
-     * @returns {string} HTML string with matched text highlighted.
+     * @returns {DocumentFragment} The suggestion text with matched parts in `<strong>` elements.
      */
     highlightMatchedText(suggestion, inputValue) {
-        if (!inputValue) return suggestion;
+        const fragment = document.createDocumentFragment();
+        if (!inputValue?.trim()) {
+            fragment.appendChild(document.createTextNode(suggestion));
+            return fragment;
+        }
         
-        const key = inputValue.toLowerCase();
+        const key = Trie.normalize(inputValue).toLowerCase();
         
         if (!this.highlightRegexCache.has(key)) {
-            const escapedInput = inputValue.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            this.highlightRegexCache.set(key, new RegExp(`(${escapedInput})`, 'gi'));
+            const escapedWords = key.trim().split(/\s+/)
+                .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            this.highlightRegexCache.set(key, new RegExp(`(${escapedWords.join('|')})`, 'gi'));
             
             if (this.highlightRegexCache.size > 50) {
                 const firstKey = this.highlightRegexCache.keys().next().value;
@@ -204,8 +430,40 @@ export class ProductAutocomplete {
             }
         }
         
-        const regex = this.highlightRegexCache.get(key);
-        return suggestion.replace(regex, '<strong>$1</strong>');
+        // Match against the suggestion without accents, keeping track of where
+        // each of its characters starts so the accented text can be highlighted
+        const characters = [...suggestion];
+        const offsets = [];
+        let normalized = '';
+        characters.forEach(char => {
+            offsets.push(normalized.length);
+            normalized += Trie.normalize(char);
+        });
+
+        const highlighted = characters.map(() => false);
+        for (const match of normalized.matchAll(this.highlightRegexCache.get(key))) {
+            const end = match.index + match[0].length;
+            offsets.forEach((offset, i) => {
+                if (offset >= match.index && offset < end) highlighted[i] = true;
+            });
+        }
+
+        // Adds each run of highlighted or plain characters as one node
+        let start = 0;
+        characters.forEach((char, i) => {
+            if (highlighted[i + 1] === highlighted[i]) return;
+
+            const text = document.createTextNode(characters.slice(start, i + 1).join(''));
+            if (highlighted[i]) {
+                const strong = document.createElement('strong');
+                strong.appendChild(text);
+                fragment.appendChild(strong);
+            } else {
+                fragment.appendChild(text);
+            }
+            start = i + 1;
+        });
+        return fragment;
     }
 
     /**
@@ -217,7 +475,7 @@ export class ProductAutocomplete {
         suggestionsContainer.addEventListener('click', (e) => {
             const suggestionItem = e.target.closest('.suggestion-item');
             if (suggestionItem) {
-                const suggestion = suggestionItem.textContent;
+                const suggestion = suggestionItem.dataset.value;
                 input.value = suggestion;
                 suggestionsContainer.style.display = 'none';
                 input.dispatchEvent(new Event('change'));
@@ -255,8 +513,9 @@ export class ProductAutocomplete {
                 case 'Tab':
                     if (items.length > 0 && this.currentFocus === -1) {
                         e.preventDefault();
-                        input.value = items[0].textContent;
+                        input.value = items[0].dataset.value;
                         this.clearSuggestions(suggestionsContainer);
+                        input.dispatchEvent(new Event('change'));
                     }
                     break;
             }
@@ -297,7 +556,7 @@ export class ProductAutocomplete {
      */
     selectSuggestion(items, input, suggestionsContainer) {
         if (this.currentFocus > -1 && this.currentFocus < items.length) {
-            const selectedText = items[this.currentFocus].textContent;
+            const selectedText = items[this.currentFocus].dataset.value;
             input.value = selectedText;
             this.clearSuggestions(suggestionsContainer);
             input.dispatchEvent(new Event('change'));
@@ -325,17 +584,16 @@ export class ProductAutocomplete {
     }
 
     /**
-     * Update the product list and reinitialize the trie.
-     * @param {string[]} newProductList - New list of products.
+     * Replace the product list and rebuild the trie. The bundled catalog is
+     * not modified, so no entry of the previous list is left behind.
+     * @param {Object[]} newProductList - New list of catalog entries.
      */
     updateProductList(newProductList) {
         if (!Array.isArray(newProductList)) {
             console.error('Product list must be an array');
             return;
         }
-        this.clearCaches();
-        Object.assign(productList, newProductList);
-        this.initializeTrie();
+        this.setItems([...newProductList]);
     }
 
     /**
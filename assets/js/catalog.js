@@ -0,0 +1,317 @@
+import { Trie } from './trie.js';
+import { categoryLabels } from './data/productList.js';
+
+/**
+ * Catalog fields that can be read from an imported file, with the column
+ * headings recognized for each one (compared without case or accents).
+ * @constant {Object.<string, {label: string, required: boolean, headings: string[]}>}
+ */
+export const CATALOG_FIELDS = {
+    sku: { label: 'Código (SKU)', required: false, headings: ['SKU', 'CODIGO', 'COD', 'CODIGO PRODUCTO', 'REFERENCIA'] },
+    nombre: { label: 'Nombre', required: true, headings: ['NOMBRE', 'PRODUCTO', 'DESCRIPCION', 'ARTICULO'] },
+    unidad: { label: 'Unidad', required: false, headings: ['UNIDAD', 'UNIDAD DE MEDIDA', 'UM', 'MEDIDA'] },
+    precio: { label: 'Precio', required: true, headings: ['PRECIO', 'PRECIO UNITARIO', 'PRECIO VENTA', 'VALOR'] },
+    categoria: { label: 'Categoría', required: false, headings: ['CATEGORIA', 'FAMILIA', 'GRUPO', 'LINEA'] }
+};
+
+/**
+ * Fields compared to tell whether an imported product changed.
+ * @constant {string[]}
+ */
+const COMPARED_FIELDS = ['sku', 'nombre', 'unidad', 'precio', 'categoria'];
+
+/**
+ * Price formats accepted in imported files, tried in order. Each one captures
+ * the whole units, with any thousands separators, and up to two decimals.
+ * @constant {RegExp[]}
+ */
+const PRICE_FORMATS = [
+    /^(\d+)(?:[.,](\d{1,2}))?$/,                 // 45, 45.50 and 12,50
+    /^(\d{1,3}(?:,\d{3})+)(?:\.(\d{1,2}))?$/,     // 1,234,567 and 1,234.50
+    /^(\d{1,3}(?:\.\d{3})+)(?:,(\d{1,2}))?$/,      // 1.234.567 and 1.234,50
+    /^(\d{1,3}(?:,\d{3})+),(\d{1,2})$/           // 1,234,50
+];
+
+/**
+ * Prices with a single separator followed by three digits, such as "1.234"
+ * or "1,234": the separator may be a thousands or a decimal separator, so
+ * they are reported rather than guessed.
+ * @constant {RegExp}
+ */
+const AMBIGUOUS_PRICE = /^\d{1,3}[.,]\d{3}$/;
+
+/**
+ * Removes the currency symbols and spaces from a price.
+ * @param {string} value - Price text
+ * @returns {string} The digits and separators of the price
+ */
+const cleanPrice = (value) => String(value ?? '').replace(/[Q$\s]|GTQ/gi, '');
+
+/**
+ * Normalizes a text to compare headings, names and categories: uppercase,
+ * without accents and with single spaces.
+ * @param {*} value - Text to normalize
+ * @returns {string} Normalized text
+ */
+const normalizeText = (value) => Trie.normalize(String(value ?? '')).toUpperCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * SheetJS build used to read XLSX files, from the SheetJS CDN: fixed versions
+ * are no longer published to npm, and older ones are unsafe for untrusted files.
+ * @constant {string}
+ */
+const SHEETJS_URL = 'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js';
+
+/**
+ * Pending or finished load of the SheetJS library, shared by every XLSX file.
+ * @type {?Promise<Object>}
+ */
+let sheetJsLoad = null;
+
+/**
+ * Loads the SheetJS library the first time an XLSX file is read, so the page
+ * does not download it until it is needed. A failed load is retried next time.
+ * @returns {Promise<Object>} The library (`window.XLSX`)
+ */
+const loadSheetJs = () => {
+    if (window.XLSX) return Promise.resolve(window.XLSX);
+
+    sheetJsLoad ??= new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = SHEETJS_URL;
+        script.onload = () => window.XLSX ? resolve(window.XLSX) : reject(new Error('SheetJS (XLSX) is not loaded'));
+        script.onerror = () => {
+            script.remove();
+            sheetJsLoad = null;
+            reject(new Error('SheetJS (XLSX) could not be loaded'));
+        };
+        document.head.appendChild(script);
+    });
+    return sheetJsLoad;
+};
+
+/**
+ * Static class reading product catalogs from CSV or XLSX files and comparing
+ * them with the current catalog before they replace it.
+ */
+export class Catalog {
+    /**
+     * Reads the rows of a CSV or XLSX file. XLSX files are read with the
+     * SheetJS library, loaded on first use; only their first sheet is read.
+     * @static
+     * @param {File} file - File chosen by the user
+     * @returns {Promise<string[][]>} Rows of cells, the headings first
+     * @throws {Error} If the file cannot be read
+     */
+    static async readFile(file) {
+        if (/\.xlsx?$/i.test(file.name)) {
+            const XLSX = await loadSheetJs();
+            const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+            const sheet = workbook.Sheets[workbook.SheetNames[0]];
+            // Number cells are read as numbers, not as displayed, so that their
+            // thousands separators are never mistaken for decimals
+            return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' })
+                .map(row => row.map(cell => String(cell)));
+        }
+        return this.parseCsv(await file.text());
+    }
+
+    /**
+     * Parses CSV text. The delimiter (comma, semicolon or tab) is detected from
+     * the first line; quoted cells may contain delimiters, line breaks and
+     * doubled quotes. Empty lines are skipped.
+     * @static
+     * @param {string} text - CSV text
+     * @returns {string[][]} Rows of cells
+     * @example
+     * Catalog.parseCsv('nombre;precio\n"TUBO, 1/2";12,50') // Returns [['nombre', 'precio'], ['TUBO, 1/2', '12,50']]
+     */
+    static parseCsv(text) {
+        const content = text.replace(/^\uFEFF/, '');
+        const firstLine = content.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t']
+            .reduce((best, candidate) => firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best);
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (quoted) {
+                if (char === '"' && content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Guesses which column holds each catalog field from the headings.
+     * @static
+     * @param {string[]} headings - Column headings of the file
+     * @returns {Object.<string, number>} Column index of each field, -1 when not found
+     */
+    static guessMapping(headings) {
+        const normalized = headings.map(normalizeText);
+        return Object.fromEntries(Object.entries(CATALOG_FIELDS).map(([field, { headings: names }]) => [
+            field,
+            normalized.findIndex(heading => names.includes(heading))
+        ]));
+    }
+
+    /**
+     * Parses a price such as "45", "45.50", "Q 1,234.50", "1.234,50" or "12,50"
+     * (see {@link PRICE_FORMATS}). Ambiguous prices such as "1.234" and prices
+     * with more than two decimals are not valid.
+     * @static
+     * @param {string} value - Price text
+     * @returns {number} The price, or NaN if it is not a valid amount
+     * @example
+     * Catalog.parsePrice('1,234.00') // Returns 1234
+     * Catalog.parsePrice('12,50') // Returns 12.5
+     * Catalog.parsePrice('1,234') // Returns NaN
+     */
+    static parsePrice(value) {
+        const text = cleanPrice(value);
+        if (AMBIGUOUS_PRICE.test(text)) return NaN;
+
+        for (const format of PRICE_FORMATS) {
+            const match = text.match(format);
+            if (match) {
+                return Math.round(parseFloat(`${match[1].replace(/\D/g, '')}.${match[2] || 0}`) * 100) / 100;
+            }
+        }
+        return NaN;
+    }
+
+    /**
+     * Gets the category key of a category name: a known category matched by
+     * its key or its label, or the name itself for a new category.
+     * @static
+     * @param {string} value - Category from the file
+     * @returns {?string} Category key, or null if empty
+     */
+    static getCategoryKey(value) {
+        const name = normalizeText(value);
+        if (!name) return null;
+
+        const known = Object.entries(categoryLabels)
+            .find(([key, label]) => normalizeText(key) === name || normalizeText(label) === name);
+        return known ? known[0] : String(value).trim();
+    }
+
+    /**
+     * Builds catalog entries from the rows of a file.
+     * Rows without a name, with an invalid or zero price, or repeating the name or
+     * code of a previous row are reported as invalid and left out.
+     * @static
+     * @param {string[][]} rows - Rows of cells, without the headings
+     * @param {Object.<string, number>} mapping - Column index of each field (see {@link Catalog.guessMapping})
+     * @param {number} [firstRow=2] - Row number of the first row, for the messages
+     * @returns {{items: Object[], invalid: Array<{row: number, reason: string}>}} Entries and invalid rows
+     */
+    static buildItems(rows, mapping, firstRow = 2) {
+        const items = [];
+        const invalid = [];
+        const names = new Set();
+        const skus = new Set();
+        const read = (cells, field) => mapping[field] >= 0 ? String(cells[mapping[field]] ?? '').trim() : '';
+
+        rows.forEach((cells, index) => {
+            const row = firstRow + index;
+            const nombre = read(cells, 'nombre').toUpperCase();
+            const sku = read(cells, 'sku') || null;
+            const precio = this.parsePrice(read(cells, 'precio'));
+
+            let reason = null;
+            if (!nombre) {
+                reason = 'Falta el nombre del producto.';
+            } else if (isNaN(precio)) {
+                reason = AMBIGUOUS_PRICE.test(cleanPrice(read(cells, 'precio')))
+                    ? `El precio "${read(cells, 'precio')}" es ambiguo: escríbalo sin separador de miles o con sus decimales (por ejemplo 1234 o 1,234.00).`
+                    : `El precio "${read(cells, 'precio')}" no es válido; use como máximo dos decimales.`;
+            } else if (precio <= 0) {
+                reason = 'El precio debe ser mayor que 0.';
+            } else if (names.has(normalizeText(nombre))) {
+                reason = `El producto ${nombre} está repetido.`;
+            } else if (sku && skus.has(sku)) {
+                reason = `El código ${sku} está repetido.`;
+            }
+
+            if (reason) {
+                invalid.push({ row, reason });
+                return;
+            }
+
+            names.add(normalizeText(nombre));
+            if (sku) skus.add(sku);
+            items.push({
+                sku,
+                nombre,
+                unidad: read(cells, 'unidad').toUpperCase() || null,
+                precio,
+                categoria: this.getCategoryKey(read(cells, 'categoria'))
+            });
+        });
+
+        return { items, invalid };
+    }
+
+    /**
+     * Compares an imported catalog with the current one. Products are matched
+     * by code (SKU) and, when they have none, by name.
+     * @static
+     * @param {Object[]} current - Current catalog entries
+     * @param {Object[]} items - Imported catalog entries
+     * @returns {{added: Object[], changed: Array<{before: Object, after: Object, fields: string[]}>, removed: Object[], unchanged: number}} Differences
+     */
+    static compare(current, items) {
+        const bySku = new Map(current.filter(item => item.sku).map(item => [item.sku, item]));
+        const byName = new Map(current.map(item => [normalizeText(item.nombre), item]));
+        const matched = new Set();
+        const result = { added: [], changed: [], removed: [], unchanged: 0 };
+
+        items.forEach(after => {
+            const before = (after.sku && bySku.get(after.sku)) || byName.get(normalizeText(after.nombre));
+            if (!before || matched.has(before)) {
+                result.added.push(after);
+                return;
+            }
+
+            matched.add(before);
+            const fields = COMPARED_FIELDS.filter(field => (before[field] ?? null) !== (after[field] ?? null));
+            if (fields.length) {
+                result.changed.push({ before, after, fields });
+            } else {
+                result.unchanged++;
+            }
+        });
+
+        result.removed = current.filter(item => !matched.has(item));
+        return result;
+    }
+}
@@ -0,0 +1,317 @@
+import { Catalog, CATALOG_FIELDS } from './catalog.js';
+import { Validations } from './validations.js';
+import { QuoteUtils } from './utils.js';
+
+/**
+ * Maximum number of products listed in each section of the preview.
+ * @constant {number}
+ */
+const PREVIEW_LIMIT = 50;
+
+/**
+ * Panel importing the product catalog from a CSV or XLSX file: the user maps
+ * the columns of the file to the catalog fields, reviews the products that
+ * would be added, changed or removed and the invalid rows, and then applies
+ * the import. The bundled catalog can be restored at any time.
+ */
+export class CatalogImportPanel {
+    /**
+     * Creates the catalog import panel.
+     * @param {CatalogStorage} storage - Storage holding the imported catalog
+     * @param {Object} handlers - Callbacks for the panel actions
+     * @param {function(): Object[]} handlers.getCurrent - Gets the catalog in use
+     * @param {function(?Object[]): void} handlers.onApply - Called with the new catalog, or null to restore the bundled one
+     */
+    constructor(storage, { getCurrent, onApply }) {
+        this.storage = storage;
+        this.getCurrent = getCurrent;
+        this.onApply = onApply;
+        this.rows = [];
+        this.items = null;
+        this.fileInput = document.getElementById('catalogo-archivo');
+        this.mapping = document.getElementById('catalogo-columnas');
+        this.preview = document.getElementById('catalogo-vista-previa');
+        this.status = document.getElementById('catalogo-estado');
+        this.applyButton = document.getElementById('aplicar-catalogo');
+        this.restoreButton = document.getElementById('restaurar-catalogo');
+
+        if (!this.fileInput || !this.mapping || !this.preview || !this.status || !this.applyButton || !this.restoreButton) {
+            console.error('Catalog import elements not found');
+            return;
+        }
+
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Sets up the file input, the column selects and the buttons.
+     * @private
+     */
+    initializeEventListeners() {
+        this.fileInput.addEventListener('change', () => this.readFile());
+        this.mapping.addEventListener('change', () => this.renderPreview());
+        this.applyButton.addEventListener('click', () => this.apply());
+        this.restoreButton.addEventListener('click', () => this.restore());
+    }
+
+    /**
+     * Loads the imported catalog, if any, and hands it over.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        try {
+            const catalog = await this.storage.getCatalog();
+            if (catalog) this.onApply(catalog.items);
+            this.renderStatus(catalog);
+        } catch (error) {
+            console.error('Error loading product catalog:', error);
+        }
+    }
+
+    /**
+     * Reads the chosen file and shows its columns and the preview.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async readFile() {
+        const file = this.fileInput.files[0];
+        this.reset();
+        if (!file) return;
+
+        try {
+            this.rows = await Catalog.readFile(file);
+        } catch (error) {
+            console.error('Error reading catalog file:', error);
+            Validations.notyf.error('No se pudo leer el archivo. Use un archivo CSV o XLSX.');
+            return;
+        }
+
+        if (this.rows.length < 2) {
+            Validations.notyf.error('El archivo no tiene productos.');
+            return;
+        }
+
+        this.renderMapping(this.rows[0]);
+        this.renderPreview();
+    }
+
+    /**
+     * Clears the columns, the preview and the pending import.
+     * @private
+     */
+    reset() {
+        this.rows = [];
+        this.items = null;
+        this.mapping.innerHTML = '';
+        this.preview.innerHTML = '';
+        this.applyButton.disabled = true;
+    }
+
+    /**
+     * Shows a select per catalog field with the columns of the file, set to
+     * the column guessed from its heading.
+     * @private
+     * @param {string[]} headings - Column headings of the file
+     */
+    renderMapping(headings) {
+        const guess = Catalog.guessMapping(headings);
+        const fragment = document.createDocumentFragment();
+
+        Object.entries(CATALOG_FIELDS).forEach(([field, { label, required }]) => {
+            const group = document.createElement('div');
+            group.classList.add('input-group');
+
+            const id = `catalogo-columna-${field}`;
+            const labelElement = document.createElement('label');
+            labelElement.htmlFor = id;
+            labelElement.textContent = required ? `${label}:` : `${label} (opcional):`;
+
+            const select = document.createElement('select');
+            select.id = id;
+            select.dataset.field = field;
+            select.appendChild(new Option('Sin columna', '-1'));
+            headings.forEach((heading, index) => select.appendChild(new Option(heading || `Columna ${index + 1}`, String(index))));
+            select.value = String(guess[field]);
+
+            group.append(labelElement, select);
+            fragment.appendChild(group);
+        });
+
+        this.mapping.appendChild(fragment);
+    }
+
+    /**
+     * Gets the column chosen for each field.
+     * @private
+     * @returns {Object.<string, number>} Column index of each field, -1 for none
+     */
+    getMapping() {
+        return Object.fromEntries([...this.mapping.querySelectorAll('select[data-field]')]
+            .map(select => [select.dataset.field, Number(select.value)]));
+    }
+
+    /**
+     * Builds the imported catalog with the chosen columns and shows how it
+     * differs from the catalog in use.
+     * @private
+     */
+    renderPreview() {
+        this.preview.innerHTML = '';
+        this.items = null;
+        this.applyButton.disabled = true;
+
+        const mapping = this.getMapping();
+        const missing = Object.entries(CATALOG_FIELDS)
+            .filter(([field, { required }]) => required && mapping[field] < 0)
+            .map(([, { label }]) => label);
+        if (missing.length) {
+            this.preview.appendChild(this.createMessage(`Elija la columna de: ${missing.join(', ')}.`));
+            return;
+        }
+
+        const { items, invalid } = Catalog.buildItems(this.rows.slice(1), mapping);
+        const { added, changed, removed, unchanged } = Catalog.compare(this.getCurrent(), items);
+
+        this.preview.append(
+            this.createMessage(`${items.length} productos válidos: ${added.length} nuevos, ${changed.length} modificados, ` +
+                `${unchanged} sin cambios y ${removed.length} eliminados. ${invalid.length} filas inválidas.`),
+            this.createSection('Nuevos', added.map(item => this.describeItem(item))),
+            this.createSection('Modificados', changed.map(change => this.describeChange(change))),
+            this.createSection('Eliminados', removed.map(item => this.describeItem(item))),
+            this.createSection('Filas inválidas', invalid.map(({ row, reason }) => `Fila ${row}: ${reason}`))
+        );
+
+        if (items.length) {
+            this.items = items;
+            this.applyButton.disabled = false;
+        }
+    }
+
+    /**
+     * Creates a paragraph of the preview.
+     * @private
+     * @param {string} text - Message
+     * @returns {HTMLParagraphElement} The paragraph
+     */
+    createMessage(text) {
+        const message = document.createElement('p');
+        message.classList.add('catalog-summary');
+        message.textContent = text;
+        return message;
+    }
+
+    /**
+     * Creates a collapsible list of the preview, showing up to {@link PREVIEW_LIMIT} lines.
+     * @private
+     * @param {string} title - Section title
+     * @param {string[]} lines - Lines to list
+     * @returns {DocumentFragment|HTMLDetailsElement} The section, or nothing if there are no lines
+     */
+    createSection(title, lines) {
+        if (!lines.length) return document.createDocumentFragment();
+
+        const section = document.createElement('details');
+        section.classList.add('catalog-section');
+
+        const summary = document.createElement('summary');
+        summary.textContent = `${title} (${lines.length})`;
+
+        const list = document.createElement('ul');
+        lines.slice(0, PREVIEW_LIMIT).forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            list.appendChild(item);
+        });
+        if (lines.length > PREVIEW_LIMIT) {
+            const more = document.createElement('li');
+            more.textContent = `… y ${lines.length - PREVIEW_LIMIT} más`;
+            list.appendChild(more);
+        }
+
+        section.append(summary, list);
+        return section;
+    }
+
+    /**
+     * Describes a catalog entry in a line of the preview.
+     * @private
+     * @param {Object} item - Catalog entry
+     * @returns {string} Description
+     */
+    describeItem(item) {
+        return [item.sku, item.nombre, QuoteUtils.formatCurrency(item.precio)].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Describes the changes of a catalog entry in a line of the preview.
+     * @private
+     * @param {{before: Object, after: Object, fields: string[]}} change - Changed entry
+     * @returns {string} Description
+     */
+    describeChange({ before, after, fields }) {
+        const format = (field, value) => {
+            if (value === null || value === undefined) return '—';
+            if (field === 'precio') return QuoteUtils.formatCurrency(value);
+            if (field === 'categoria') return QuoteUtils.getCategoryLabel(value);
+            return value;
+        };
+        const changes = fields.map(field =>
+            `${CATALOG_FIELDS[field].label}: ${format(field, before[field])} → ${format(field, after[field])}`);
+        return `${after.nombre} (${changes.join('; ')})`;
+    }
+
+    /**
+     * Replaces the catalog with the previewed one, after confirmation.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async apply() {
+        if (!this.items || !window.confirm(`¿Reemplazar el catálogo por los ${this.items.length} productos importados?`)) {
+            return;
+        }
+
+        try {
+            const catalog = await this.storage.saveCatalog(this.items);
+            this.onApply(catalog.items);
+            this.renderStatus(catalog);
+            this.fileInput.value = '';
+            this.reset();
+            Validations.notyf.success('Catálogo actualizado.');
+        } catch (error) {
+            console.error('Error saving product catalog:', error);
+            Validations.notyf.error('No se pudo guardar el catálogo. Por favor, intenta nuevamente.');
+        }
+    }
+
+    /**
+     * Goes back to the catalog bundled with the application, after confirmation.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async restore() {
+        if (!window.confirm('¿Descartar el catálogo importado y volver al catálogo original?')) {
+            return;
+        }
+
+        try {
+            await this.storage.deleteCatalog();
+            this.onApply(null);
+            this.renderStatus(null);
+            Validations.notyf.success('Catálogo original restaurado.');
+        } catch (error) {
+            console.error('Error restoring product catalog:', error);
+        }
+    }
+
+    /**
+     * Shows which catalog is in use.
+     * @private
+     * @param {?{items: Object[], importedAt: string}} catalog - Imported catalog, or null for the bundled one
+     */
+    renderStatus(catalog) {
+        this.status.textContent = catalog
+            ? `Catálogo importado el ${QuoteUtils.formatDate(new Date(catalog.importedAt))} (${catalog.items.length} productos).`
+            : `Catálogo original (${this.getCurrent().length} productos).`;
+        this.restoreButton.hidden = !catalog;
+    }
+}
@@ -0,0 +1,168 @@
+import { ProductAutocomplete } from './autocomplete.js';
+import { Validations } from './validations.js';
+import { QuoteUtils } from './utils.js';
+
+/**
+ * IDs of the inputs holding each client detail.
+ * @constant {Object.<string, string>}
+ */
+const DETAIL_INPUTS = {
+    nit: 'cliente-nit',
+    address: 'cliente-direccion',
+    phone: 'cliente-telefono',
+    email: 'cliente-correo',
+    notes: 'cliente-notas'
+};
+
+/**
+ * Client form backed by the saved client directory: suggests saved clients
+ * in the client name field, edits the client details (NIT, address, phone,
+ * email and notes) and saves or deletes directory entries.
+ */
+export class ClientDirectory {
+    /**
+     * Creates the client directory panel.
+     * @param {ClientStorage} storage - Storage holding the directory
+     * @param {Object} handlers - Callbacks for the panel actions
+     * @param {function(Object): void} handlers.onSelect - Called with a directory client to use in the quote
+     * @param {function(Object): void} handlers.onEdit - Called with the client details changed in the form
+     */
+    constructor(storage, { onSelect, onEdit }) {
+        this.storage = storage;
+        this.onSelect = onSelect;
+        this.onEdit = onEdit;
+        this.clientId = null;
+        this.nameInput = document.getElementById('cliente');
+        this.saveButton = document.getElementById('guardar-cliente');
+        this.deleteButton = document.getElementById('eliminar-cliente');
+        this.inputs = Object.fromEntries(
+            Object.entries(DETAIL_INPUTS).map(([field, id]) => [field, document.getElementById(id)])
+        );
+
+        this.autocomplete = new ProductAutocomplete({
+            items: [],
+            nameField: 'name',
+            describe: client => client.nit && `NIT ${client.nit}`,
+            learnUsage: false
+        });
+        this.autocomplete.initializeAutocomplete('cliente', 'sugerencias-clientes');
+
+        if (!this.saveButton || !this.deleteButton || Object.values(this.inputs).some(input => !input)) {
+            console.error('Client directory elements not found');
+            return;
+        }
+
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Sets up the detail inputs and the directory buttons.
+     * @private
+     */
+    initializeEventListeners() {
+        Object.entries(this.inputs).forEach(([field, input]) => {
+            input.addEventListener('change', () => {
+                let value = input.value.trim();
+                if (field === 'nit' && value) {
+                    if (!Validations.validateNit(value)) {
+                        input.value = this.lastDetails?.nit || '';
+                        return;
+                    }
+                    value = QuoteUtils.formatNit(value);
+                    input.value = value;
+                }
+                this.onEdit({ [field]: value });
+            });
+        });
+
+        this.saveButton.addEventListener('click', () => this.saveClient());
+        this.deleteButton.addEventListener('click', () => this.deleteClient());
+    }
+
+    /**
+     * Loads the saved clients into the name suggestions.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        try {
+            this.autocomplete.setItems(await this.storage.getAllClients());
+        } catch (error) {
+            console.error('Error loading client directory:', error);
+        }
+    }
+
+    /**
+     * Finds a saved client by name (case- and accent-insensitive).
+     * @param {string} name - Client name
+     * @returns {?Object} The directory client, or null
+     */
+    find(name) {
+        return this.autocomplete.findProduct(name);
+    }
+
+    /**
+     * Shows the details of the quote client in the form.
+     * @param {Object} client - Client of the quote (see {@link QuoteState#client})
+     */
+    render(client) {
+        this.clientId = client.id;
+        this.lastDetails = client;
+        Object.entries(this.inputs).forEach(([field, input]) => {
+            if (input) input.value = client[field] || '';
+        });
+        if (this.deleteButton) this.deleteButton.hidden = !client.id;
+    }
+
+    /**
+     * Saves the client in the form to the directory, updating its entry if it
+     * was picked from the directory, and uses the saved client in the quote.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async saveClient() {
+        const client = { id: this.clientId, name: this.nameInput.value.trim() };
+        Object.entries(this.inputs).forEach(([field, input]) => {
+            client[field] = input.value.trim();
+        });
+
+        try {
+            Validations.validateNotEmpty(client.name, 'El nombre del cliente es obligatorio.');
+        } catch (error) {
+            return;
+        }
+        if (client.nit && !Validations.validateNit(client.nit)) {
+            return;
+        }
+        client.nit = QuoteUtils.formatNit(client.nit);
+
+        try {
+            const record = await this.storage.saveClient(client);
+            await this.load();
+            this.onSelect(record);
+            Validations.notyf.success('Cliente guardado en el directorio.');
+        } catch (error) {
+            console.error('Error saving client:', error);
+            Validations.notyf.error('No se pudo guardar el cliente. Por favor, intenta nuevamente.');
+        }
+    }
+
+    /**
+     * Removes the current client from the directory, after confirmation.
+     * The quote keeps the client details.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async deleteClient() {
+        if (!this.clientId || !window.confirm('¿Eliminar este cliente del directorio?')) {
+            return;
+        }
+
+        try {
+            await this.storage.deleteClient(this.clientId);
+            await this.load();
+            this.onEdit({ id: null });
+        } catch (error) {
+            console.error('Error deleting client:', error);
+        }
+    }
+}
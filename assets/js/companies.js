@@ -0,0 +1,278 @@
+import { Validations } from './validations.js';
+import { QuoteUtils } from './utils.js';
+import { COMPANY } from './constants.js';
+
+/**
+ * IDs of the inputs holding each company profile field, except the logo.
+ * @constant {Object.<string, string>}
+ */
+const PROFILE_INPUTS = {
+    name: 'empresa-nombre',
+    nit: 'empresa-nit',
+    address: 'empresa-direccion',
+    phones: 'empresa-telefonos',
+    email: 'empresa-correo',
+    footer: 'empresa-pie',
+    color: 'empresa-color'
+};
+
+/**
+ * Largest logo file accepted, in bytes. Logos are stored with the profile.
+ * @constant {number}
+ */
+const MAX_LOGO_SIZE = 1024 * 1024;
+
+/**
+ * Reads a file as a data URL.
+ * @param {File} file - File to read
+ * @returns {Promise<string>} The data URL
+ */
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+/**
+ * Company profiles, one per branch: chooses the profile of the current quote
+ * and edits the saved profiles (name, NIT, address, phones, email, logo,
+ * footer text and brand color). The first time it runs, the default profile
+ * ({@link COMPANY}) is saved so that it can be edited.
+ */
+export class CompanyProfiles {
+    /**
+     * Creates the company profiles panel.
+     * @param {CompanyStorage} storage - Storage holding the profiles
+     * @param {Object} handlers - Callbacks for the panel actions
+     * @param {function(string): void} handlers.onSelect - Called with the ID of the profile chosen for the quote
+     * @param {function(): void} handlers.onChange - Called when the saved profiles change
+     */
+    constructor(storage, { onSelect, onChange }) {
+        this.storage = storage;
+        this.onSelect = onSelect;
+        this.onChange = onChange;
+        this.profiles = [];
+        this.editingId = null;
+        this.logo = '';
+        this.quoteSelect = document.getElementById('empresa-cotizacion');
+        this.profileSelect = document.getElementById('empresa-perfil');
+        this.logoInput = document.getElementById('empresa-logo');
+        this.logoPreview = document.getElementById('empresa-logo-vista');
+        this.removeLogoButton = document.getElementById('quitar-logo');
+        this.saveButton = document.getElementById('guardar-empresa');
+        this.deleteButton = document.getElementById('eliminar-empresa');
+        this.inputs = Object.fromEntries(
+            Object.entries(PROFILE_INPUTS).map(([field, id]) => [field, document.getElementById(id)])
+        );
+
+        if (!this.quoteSelect || !this.profileSelect || !this.logoInput || !this.logoPreview || !this.removeLogoButton ||
+            !this.saveButton || !this.deleteButton || Object.values(this.inputs).some(input => !input)) {
+            console.error('Company profile elements not found');
+            return;
+        }
+
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Sets up the profile selects, the logo input and the buttons.
+     * @private
+     */
+    initializeEventListeners() {
+        this.quoteSelect.addEventListener('change', () => this.onSelect(this.quoteSelect.value));
+        this.profileSelect.addEventListener('change', () => this.edit(this.profileSelect.value));
+        this.logoInput.addEventListener('change', () => this.readLogo());
+        this.removeLogoButton.addEventListener('click', () => this.renderLogo(''));
+        this.saveButton.addEventListener('click', () => this.saveProfile());
+        this.deleteButton.addEventListener('click', () => this.deleteProfile());
+    }
+
+    /**
+     * Loads the saved profiles, saving the default one if there are none,
+     * and shows the first one in the form.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        await this.refresh();
+        this.edit(this.profiles[0]?.id);
+    }
+
+    /**
+     * Reloads the saved profiles into the selects and notifies the change.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        try {
+            this.profiles = await this.storage.getAllCompanies();
+            if (!this.profiles.length) {
+                this.profiles = [await this.storage.saveCompany(COMPANY)];
+            }
+        } catch (error) {
+            console.error('Error loading company profiles:', error);
+        }
+        this.renderOptions();
+        this.onChange();
+    }
+
+    /**
+     * Gets a saved profile, falling back to the first one and then to the default profile.
+     * @param {?string} id - Profile ID
+     * @returns {Object} The profile
+     */
+    getProfile(id) {
+        return this.profiles.find(profile => profile.id === id) || this.profiles[0] || COMPANY;
+    }
+
+    /**
+     * Shows the profile of the quote in the quote options.
+     * @param {?string} id - Profile ID of the quote, or null for the first one
+     */
+    select(id) {
+        if (this.quoteSelect) this.quoteSelect.value = this.getProfile(id).id || '';
+    }
+
+    /**
+     * Lists the saved profiles in the quote options and in the profile form.
+     * @private
+     */
+    renderOptions() {
+        if (!this.quoteSelect || !this.profileSelect) return;
+
+        const quoteValue = this.quoteSelect.value;
+        this.quoteSelect.innerHTML = '';
+        this.profileSelect.innerHTML = '';
+        this.profileSelect.appendChild(new Option('Nuevo perfil', ''));
+        this.profiles.forEach(profile => {
+            this.quoteSelect.appendChild(new Option(profile.name, profile.id));
+            this.profileSelect.appendChild(new Option(profile.name, profile.id));
+        });
+        this.quoteSelect.value = quoteValue;
+        this.profileSelect.value = this.editingId || '';
+    }
+
+    /**
+     * Shows a saved profile in the form, or an empty form for a new profile.
+     * @private
+     * @param {?string} id - Profile ID, or nothing for a new profile
+     */
+    edit(id) {
+        if (!this.profileSelect) return;
+
+        const profile = this.profiles.find(item => item.id === id);
+        this.editingId = profile?.id || null;
+        this.profileSelect.value = this.editingId || '';
+        Object.entries(this.inputs).forEach(([field, input]) => {
+            input.value = profile?.[field] || '';
+        });
+        this.inputs.color.value = profile?.color || COMPANY.color;
+        this.renderLogo(profile?.logo || '');
+        this.deleteButton.hidden = !profile;
+    }
+
+    /**
+     * Shows the logo of the profile being edited.
+     * @private
+     * @param {string} logo - Logo URL or data URL, or an empty string for none
+     */
+    renderLogo(logo) {
+        this.logo = logo;
+        this.logoInput.value = '';
+        if (logo) {
+            this.logoPreview.src = logo;
+        } else {
+            this.logoPreview.removeAttribute('src');
+        }
+        this.logoPreview.hidden = !logo;
+        this.removeLogoButton.hidden = !logo;
+    }
+
+    /**
+     * Reads the chosen logo file and shows it in the form.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async readLogo() {
+        const file = this.logoInput.files[0];
+        if (!file) return;
+
+        if (!file.type.startsWith('image/')) {
+            Validations.notyf.error('El logo debe ser una imagen PNG o JPG.');
+            this.logoInput.value = '';
+            return;
+        }
+        if (file.size > MAX_LOGO_SIZE) {
+            Validations.notyf.error('El logo no debe pesar más de 1 MB.');
+            this.logoInput.value = '';
+            return;
+        }
+
+        try {
+            this.renderLogo(await readAsDataUrl(file));
+        } catch (error) {
+            console.error('Error reading logo file:', error);
+            Validations.notyf.error('No se pudo leer el logo. Por favor, intenta nuevamente.');
+        }
+    }
+
+    /**
+     * Saves the profile in the form, updating it if it was already saved.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async saveProfile() {
+        const profile = { id: this.editingId, logo: this.logo };
+        Object.entries(this.inputs).forEach(([field, input]) => {
+            profile[field] = input.value.trim();
+        });
+
+        try {
+            Validations.validateNotEmpty(profile.name, 'El nombre de la empresa es obligatorio.');
+        } catch (error) {
+            return;
+        }
+        if (profile.nit && !Validations.validateNit(profile.nit)) {
+            return;
+        }
+        profile.nit = QuoteUtils.formatNit(profile.nit);
+
+        try {
+            const record = await this.storage.saveCompany(profile);
+            this.editingId = record.id;
+            await this.refresh();
+            this.edit(record.id);
+            Validations.notyf.success('Perfil de empresa guardado.');
+        } catch (error) {
+            console.error('Error saving company profile:', error);
+            Validations.notyf.error('No se pudo guardar el perfil. Por favor, intenta nuevamente.');
+        }
+    }
+
+    /**
+     * Deletes the profile in the form, after confirmation. At least one profile is kept.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async deleteProfile() {
+        if (!this.editingId) return;
+
+        if (this.profiles.length <= 1) {
+            Validations.notyf.error('Debe quedar al menos un perfil de empresa.');
+            return;
+        }
+        if (!window.confirm('¿Eliminar este perfil? Las cotizaciones que lo usan se imprimirán con el primer perfil de la lista.')) {
+            return;
+        }
+
+        try {
+            await this.storage.deleteCompany(this.editingId);
+            this.editingId = null;
+            await this.refresh();
+            this.edit(this.profiles[0]?.id);
+        } catch (error) {
+            console.error('Error deleting company profile:', error);
+            Validations.notyf.error('No se pudo eliminar el perfil. Por favor, intenta nuevamente.');
+        }
+    }
+}
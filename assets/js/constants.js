@@ -4,14 +4,23 @@
 */
 
 /**
-* Currency configuration for the application.
-* @constant {Object} CURRENCY
+* Currencies a quote can be issued in, with the locale used to format their
+* amounts and the singular and plural names used to write them in words
+* (`feminine` marks currencies named by a feminine noun, such as "libra").
+* @constant {Object.<string, {code: string, symbol: string, locale: string, label: string, name: string, plural: string, feminine: ?boolean}>} CURRENCIES
 */
-export const CURRENCY = {
-   symbol: 'Q',
-   code: 'GTQ'
+export const CURRENCIES = {
+   GTQ: { code: 'GTQ', symbol: 'Q', locale: 'es-GT', label: 'Quetzales (Q)', name: 'quetzal', plural: 'quetzales' },
+   USD: { code: 'USD', symbol: '$', locale: 'en-US', label: 'Dólares estadounidenses ($)', name: 'dólar', plural: 'dólares' }
 };
 
+/**
+* Base currency of the application: catalog prices are in this currency and
+* exchange rates give its amount per unit of another currency.
+* @constant {Object} CURRENCY
+*/
+export const CURRENCY = CURRENCIES.GTQ;
+
 /**
 * Mapping of DOM element identifiers used throughout the application.
 * @constant {Object} DOM_IDS
@@ -21,13 +30,204 @@ export const DOM_IDS = {
    PRODUCT: 'producto',
    QUANTITY: 'cantidad',
    PRICE: 'precio',
+   PRICE_SYMBOL: 'precio-simbolo',
+   PRICE_HINT: 'precio-ayuda',
    ADD: 'agregar',
    PRODUCTS_TABLE: 'productos',
    TOTAL: 'total',
+   TOTAL_WORDS: 'total-letras',
    GENERATE: 'generar-pdf',
    CAPTURE: 'capture',
    CLIENT_NAME: 'nombre',
-   DATE: 'fecha'
+   DATE: 'fecha',
+   NEW_QUOTE: 'nueva-cotizacion',
+   EXPORT_FORMAT: 'formato-exportacion',
+   PAPER_SIZE: 'tamano-papel',
+   PRINT: 'imprimir',
+   LOGO: 'logo',
+   SUBTOTAL: 'subtotal',
+   TAX: 'iva',
+   TAX_LABEL: 'iva-etiqueta',
+   TAX_MODE: 'modo-iva',
+   TAX_RATE: 'tasa-iva',
+   CLIENT_EXEMPT: 'cliente-exento',
+   PRODUCT_EXEMPT: 'producto-exento',
+   DISCOUNT: 'descuento',
+   GLOBAL_DISCOUNT: 'descuento-global',
+   MAX_DISCOUNT: 'descuento-maximo',
+   DISCOUNT_ROW: 'fila-descuento',
+   DISCOUNT_LABEL: 'descuento-etiqueta',
+   DISCOUNT_TOTAL: 'descuento-total',
+   RESET_SUGGESTIONS: 'reiniciar-sugerencias',
+   UNDO: 'deshacer',
+   REDO: 'rehacer',
+   GROUP_BY_CATEGORY: 'agrupar-categorias',
+   QUOTE_NUMBER: 'numero-cotizacion',
+   NUMBER_FORMAT: 'formato-numero',
+   NUMBER_RESET: 'reinicio-numero',
+   CLIENT_NIT: 'nit',
+   CLIENT_ADDRESS: 'direccion',
+   CLIENT_PHONE: 'telefono',
+   CLIENT_EMAIL: 'correo',
+   CLIENT_NIT_ROW: 'fila-nit',
+   CLIENT_CONTACT_ROW: 'fila-contacto',
+   ISSUE_DATE: 'fecha-emision',
+   VALIDITY_DAYS: 'validez-dias',
+   QUOTE_STATUS: 'estado-cotizacion',
+   DELIVERY_DATE: 'fecha-entrega',
+   NUMBER_LABEL: 'numero-etiqueta',
+   REFERENCE_LABEL: 'referencia-etiqueta',
+   REFERENCE: 'referencia',
+   CONVERT: 'convertir-pedido',
+   IMPORT_QUOTE: 'importar-cotizacion',
+   IMPORT_FILE: 'archivo-cotizacion',
+   CURRENCY: 'moneda-cotizacion'
+};
+
+/**
+* Default tax (IVA) configuration. `mode` is 'included' when prices already
+* include the tax, or 'added' when the tax is added on top of them.
+* @constant {Object} TAX
+*/
+export const TAX = {
+   rate: 0.12,
+   mode: 'included'
+};
+
+/**
+* Default company profile, printed on quotes until the user edits it. It is
+* stored as the first profile the first time the application runs.
+* @constant {Object} COMPANY
+*/
+export const COMPANY = {
+   name: 'Ferretería Shama',
+   nit: '',
+   address: 'Km 23.1 Ruta al Atlántico, Azacualpilla, Palencia, Guatemala.',
+   phones: '',
+   email: '',
+   logo: 'assets/img/logoFShama.png',
+   footer: '',
+   color: '#2e2725'
+};
+
+/**
+* Observations of new quotes, which can be edited per quote. Placeholders are
+* replaced when the quote is shown: {validez} by its validity (e.g. "7 días,
+* hasta el 25/10/2026"), {fecha_entrega} by its delivery date or "a convenir",
+* and {cliente} by the client name.
+* @constant {string[]} QUOTE_OBSERVATIONS
+*/
+export const QUOTE_OBSERVATIONS = [
+   'Precios sujetos a cambios sin previo aviso.',
+   'Esta cotización es válida por {validez}.',
+   'Tiempo de entrega: {fecha_entrega}.'
+];
+
+/**
+* Observation templates saved the first time the application runs. Users can
+* edit them, delete them and add their own.
+* @constant {Array<{title: string, text: string}>} OBSERVATION_TEMPLATES
+*/
+export const OBSERVATION_TEMPLATES = [
+   { title: 'Precios', text: 'Precios sujetos a cambios sin previo aviso.' },
+   { title: 'Validez', text: 'Esta cotización es válida por {validez}.' },
+   { title: 'Tiempo de entrega', text: 'Tiempo de entrega: {fecha_entrega}.' },
+   { title: 'Forma de pago: contado', text: 'Forma de pago: contado contra entrega.' },
+   { title: 'Forma de pago: anticipo', text: 'Forma de pago: 50% de anticipo y 50% contra entrega.' },
+   { title: 'Garantía', text: 'Los productos cuentan con la garantía del fabricante; no cubre daños por mal uso o mala instalación.' },
+   { title: 'Entrega en obra', text: 'Entrega en la obra de {cliente}; la descarga corre por cuenta del cliente.' }
+];
+
+/**
+* Default validity of a quote, in days from its issue date.
+* @constant {Object} VALIDITY
+*/
+export const VALIDITY = {
+   days: 7
+};
+
+/**
+* Statuses of a quote. Drafts and sent quotes become `EXPIRED` on their own
+* once their validity lapses; the other statuses are chosen by the user.
+* @constant {Object} QUOTE_STATUS
+*/
+export const QUOTE_STATUS = {
+   DRAFT: 'borrador',
+   SENT: 'enviada',
+   ACCEPTED: 'aceptada',
+   REJECTED: 'rechazada',
+   EXPIRED: 'vencida'
+};
+
+/**
+* Types of document handled by the editor. Sales orders and proforma invoices
+* are created from an accepted quote and are numbered with their own sequence.
+* @constant {Object} DOCUMENT_TYPES
+*/
+export const DOCUMENT_TYPES = {
+   cotizacion: {
+      label: 'Cotización',
+      numberLabel: 'Cotización No.'
+   },
+   pedido: {
+      label: 'Pedido de venta',
+      numberLabel: 'Pedido No.',
+      numbering: { format: 'PED-{AAAA}-{NNNNN}', reset: 'yearly' }
+   },
+   proforma: {
+      label: 'Factura proforma',
+      numberLabel: 'Proforma No.',
+      numbering: { format: 'PRO-{AAAA}-{NNNNN}', reset: 'yearly' }
+   }
+};
+
+/**
+* Display names of the quote statuses.
+* @constant {Object.<string, string>} QUOTE_STATUS_LABELS
+*/
+export const QUOTE_STATUS_LABELS = {
+   borrador: 'Borrador',
+   enviada: 'Enviada',
+   aceptada: 'Aceptada',
+   rechazada: 'Rechazada',
+   vencida: 'Vencida'
+};
+
+/**
+* Default discount policy. Discounts above `maxPercent` require an authorization.
+* @constant {Object} DISCOUNT
+*/
+export const DISCOUNT = {
+   maxPercent: 10
+};
+
+/**
+* Default quote numbering. `format` may use {AAAA} (year), {AA}, {MM}, {DD} and
+* {N} for the sequence, with one N per digit; `reset` is 'never', 'yearly' or 'daily'.
+* @constant {Object} NUMBERING
+*/
+export const NUMBERING = {
+   format: 'COT-{AAAA}-{NNNNN}',
+   reset: 'yearly'
+};
+
+/**
+* Keys used to store values in localStorage.
+* @constant {Object} STORAGE_KEYS
+*/
+export const STORAGE_KEYS = {
+   CURRENT_QUOTE: 'cotishama.currentQuote',
+   SETTINGS: 'cotishama.settings',
+   PRODUCT_USAGE: 'cotishama.productUsage'
+};
+
+/**
+* Learning of the products used in quotes. The weight of a product grows by one
+* each time it is added to a quote and halves after `halfLifeDays` days without use.
+* @constant {Object} USAGE
+*/
+export const USAGE = {
+   halfLifeDays: 30
 };
 
 /**
@@ -36,4 +236,19 @@ export const DOM_IDS = {
  */
 export const STYLE = {
    MIN_ROWS: 10,
-}
\ No newline at end of file
+}
+
+/**
+ * Events emitted by {@link QuoteState}. Every change also emits CHANGE with
+ * the type of the specific event, for views that react to any change.
+ * @constant {Object.<string, string>}
+ */
+export const STATE_EVENTS = {
+   PRODUCT_ADDED: 'productAdded',
+   PRODUCT_REMOVED: 'productRemoved',
+   PRODUCT_UPDATED: 'productUpdated',
+   PRODUCTS_REPLACED: 'productsReplaced',
+   CLIENT_CHANGED: 'clientChanged',
+   QUOTE_CHANGED: 'quoteChanged',
+   CHANGE: 'change'
+};
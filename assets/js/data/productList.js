@@ -1,198 +1,230 @@
-const herramientasManuales = [
-    'MARTILLO DE UÑA',
-    'DESTORNILLADOR PHILLIPS',
-    'DESTORNILLADOR PLANO',
-    'CINTA MÉTRICA',
-    'LLAVE INGLESA',
-    'LLAVE AJUSTABLE',
-    'ALICATE UNIVERSAL',
-    'PINZA DE CORTE DIAGONAL',
-    'PINZA DE PUNTA LARGA',
-    'NIVEL DE BURBUJA',
-    'ESCUADRA METÁLICA',
-    'SERRUCHO DE CARPINTERO',
-    'METRO PLEGABLE DE MADERA',
-    'FORMÓN PARA MADERA',
-    'LIMA PARA MACHETE',
-    'CEPILLO DE ALAMBRE',
-    'ARCO DE SIERRA PARA METAL',
-    'CINCEL PARA CONCRETO',
-    'MAZO DE GOMA',
-    'LLAVE DE TUBO',
-    'JUEGO DE LLAVES COMBINADAS',
-    'TIJERA PARA METAL',
-    'CUCHILLA MULTIUSO',
-    'PISTOLA PARA SILICÓN'
-];
+/**
+ * Creates the catalog entries of a category from `[nombre, unidad, precio]` tuples.
+ * SKUs are built from the category prefix and the position of the product.
+ * @param {string} categoria - Category key, as used in {@link categorias}
+ * @param {string} prefix - SKU prefix of the category
+ * @param {Array<[string, string, number]>} items - Product name, unit of measure and default unit price
+ * @returns {Array<{sku: string, nombre: string, unidad: string, precio: number, categoria: string}>} Catalog entries
+ */
+const createCategory = (categoria, prefix, items) => items.map(([nombre, unidad, precio], index) => ({
+    sku: `${prefix}-${String(index + 1).padStart(3, '0')}`,
+    nombre,
+    unidad,
+    precio,
+    categoria
+}));
 
-const herramientasElectricas = [
-    'SIERRA CIRCULAR',
-    'TALADRO ELÉCTRICO',
-    'BROCA PARA CONCRETO',
-    'BROCA PARA METAL',
-    'PULIDORA ANGULAR',
-    'ROTOMARTILLO',
-    'COMPRESOR DE AIRE',
-    'PISTOLA DE CALOR',
-    'SIERRA CALADORA',
-    'LIJADORA ORBITAL',
-    'SOLDADORA ELÉCTRICA',
-    'GENERADOR ELÉCTRICO',
-    'HIDROLAVADORA',
-    'TALADRO INALÁMBRICO',
-    'ATORNILLADOR ELÉCTRICO'
-];
+const herramientasManuales = createCategory('herramientasManuales', 'HM', [
+    ['MARTILLO DE UÑA', 'UNIDAD', 65.00],
+    ['DESTORNILLADOR PHILLIPS', 'UNIDAD', 25.00],
+    ['DESTORNILLADOR PLANO', 'UNIDAD', 25.00],
+    ['CINTA MÉTRICA', 'UNIDAD', 45.00],
+    ['LLAVE INGLESA', 'UNIDAD', 85.00],
+    ['LLAVE AJUSTABLE', 'UNIDAD', 75.00],
+    ['ALICATE UNIVERSAL', 'UNIDAD', 60.00],
+    ['PINZA DE CORTE DIAGONAL', 'UNIDAD', 55.00],
+    ['PINZA DE PUNTA LARGA', 'UNIDAD', 55.00],
+    ['NIVEL DE BURBUJA', 'UNIDAD', 50.00],
+    ['ESCUADRA METÁLICA', 'UNIDAD', 40.00],
+    ['SERRUCHO DE CARPINTERO', 'UNIDAD', 70.00],
+    ['METRO PLEGABLE DE MADERA', 'UNIDAD', 35.00],
+    ['FORMÓN PARA MADERA', 'UNIDAD', 45.00],
+    ['LIMA PARA MACHETE', 'UNIDAD', 20.00],
+    ['CEPILLO DE ALAMBRE', 'UNIDAD', 18.00],
+    ['ARCO DE SIERRA PARA METAL', 'UNIDAD', 65.00],
+    ['CINCEL PARA CONCRETO', 'UNIDAD', 40.00],
+    ['MAZO DE GOMA', 'UNIDAD', 45.00],
+    ['LLAVE DE TUBO', 'UNIDAD', 110.00],
+    ['JUEGO DE LLAVES COMBINADAS', 'JUEGO', 250.00],
+    ['TIJERA PARA METAL', 'UNIDAD', 80.00],
+    ['CUCHILLA MULTIUSO', 'UNIDAD', 15.00],
+    ['PISTOLA PARA SILICÓN', 'UNIDAD', 35.00]
+]);
 
-const materialesConstruccion = [
-    'CEMENTO',
-    'ARENA DE RÍO',
-    'PIEDRÍN',
-    'TORNILLO GALVANIZADO',
-    'CLAVO DE ACERO',
-    'CAL',
-    'BLOCK DE CONCRETO',
-    'VARILLA DE HIERRO',
-    'ALAMBRE DE AMARRE',
-    'ELECTROMALLA',
-    'PERFIL METÁLICO',
-    'LÁMINA GALVANIZADA',
-    'TABLA DE MADERA',
-    'PLANCHA DE PLYWOOD',
-    'PISO CERÁMICO',
-    'AZULEJO',
-    'ADOQUÍN',
-    'LADRILLO',
-    'BLOCK DECORATIVO',
-    'MALLA CICLÓN'
-];
+const herramientasElectricas = createCategory('herramientasElectricas', 'HE', [
+    ['SIERRA CIRCULAR', 'UNIDAD', 850.00],
+    ['TALADRO ELÉCTRICO', 'UNIDAD', 450.00],
+    ['BROCA PARA CONCRETO', 'UNIDAD', 18.00],
+    ['BROCA PARA METAL', 'UNIDAD', 15.00],
+    ['PULIDORA ANGULAR', 'UNIDAD', 550.00],
+    ['ROTOMARTILLO', 'UNIDAD', 1200.00],
+    ['COMPRESOR DE AIRE', 'UNIDAD', 1800.00],
+    ['PISTOLA DE CALOR', 'UNIDAD', 300.00],
+    ['SIERRA CALADORA', 'UNIDAD', 500.00],
+    ['LIJADORA ORBITAL', 'UNIDAD', 420.00],
+    ['SOLDADORA ELÉCTRICA', 'UNIDAD', 1500.00],
+    ['GENERADOR ELÉCTRICO', 'UNIDAD', 4500.00],
+    ['HIDROLAVADORA', 'UNIDAD', 1600.00],
+    ['TALADRO INALÁMBRICO', 'UNIDAD', 750.00],
+    ['ATORNILLADOR ELÉCTRICO', 'UNIDAD', 600.00]
+]);
 
-const materialesElectricos = [
-    'CABLE ELÉCTRICO',
-    'TOMACORRIENTE',
-    'INTERRUPTOR SIMPLE',
-    'BOMBILLA LED',
-    'FOCO AHORRADOR',
-    'EXTENSIÓN ELÉCTRICA',
-    'CLAVIJA ELÉCTRICA',
-    'TABLERO ELÉCTRICO',
-    'BREAKER (INTERRUPTOR TERMOMAGNÉTICO)',
-    'CAJA OCTOGONAL',
-    'CAJA RECTANGULAR',
-    'TUBO CONDUIT',
-    'CONECTOR PARA CONDUIT',
-    'TIMBRE ELÉCTRICO',
-    'LÁMPARA FLUORESCENTE',
-    'REFLECTOR LED',
-    'CABLE COAXIAL',
-    'ENCHUFE POLARIZADO',
-    'REGULADOR DE VOLTAJE',
-    'MULTÍMETRO'
-];
+const materialesConstruccion = createCategory('materialesConstruccion', 'MC', [
+    ['CEMENTO', 'SACO', 85.00],
+    ['ARENA DE RÍO', 'METRO CÚBICO', 250.00],
+    ['PIEDRÍN', 'METRO CÚBICO', 300.00],
+    ['TORNILLO GALVANIZADO', 'LIBRA', 20.00],
+    ['CLAVO DE ACERO', 'LIBRA', 15.00],
+    ['CAL', 'SACO', 40.00],
+    ['BLOCK DE CONCRETO', 'UNIDAD', 5.50],
+    ['VARILLA DE HIERRO', 'UNIDAD', 45.00],
+    ['ALAMBRE DE AMARRE', 'LIBRA', 9.00],
+    ['ELECTROMALLA', 'UNIDAD', 350.00],
+    ['PERFIL METÁLICO', 'UNIDAD', 95.00],
+    ['LÁMINA GALVANIZADA', 'UNIDAD', 110.00],
+    ['TABLA DE MADERA', 'UNIDAD', 60.00],
+    ['PLANCHA DE PLYWOOD', 'UNIDAD', 220.00],
+    ['PISO CERÁMICO', 'METRO CUADRADO', 85.00],
+    ['AZULEJO', 'METRO CUADRADO', 75.00],
+    ['ADOQUÍN', 'UNIDAD', 6.00],
+    ['LADRILLO', 'UNIDAD', 3.50],
+    ['BLOCK DECORATIVO', 'UNIDAD', 12.00],
+    ['MALLA CICLÓN', 'ROLLO', 850.00]
+]);
 
-const plomeria = [
-    'TUBO PVC',
-    'CODO PVC',
-    'PEGAMENTO PVC',
-    'MANGUERA DE JARDÍN',
-    'LLAVE DE PASO',
-    'LLAVE DE CHORRO',
-    'VÁLVULA CHECK',
-    'SIFÓN',
-    'REDUCCIÓN PVC',
-    'TEE PVC',
-    'UNIÓN UNIVERSAL',
-    'TUBO CPVC',
-    'CODO CPVC',
-    'TAPÓN PVC',
-    'TRAMPA DE GRASA',
-    'FLOTADOR DE CISTERNA',
-    'FLANGE PARA INODORO',
-    'LLAVE DE LAVAMANOS',
-    'REGADERA',
-    'TUBO FLEXIBLE'
-];
+const materialesElectricos = createCategory('materialesElectricos', 'ME', [
+    ['CABLE ELÉCTRICO', 'METRO', 6.50],
+    ['TOMACORRIENTE', 'UNIDAD', 25.00],
+    ['INTERRUPTOR SIMPLE', 'UNIDAD', 20.00],
+    ['BOMBILLA LED', 'UNIDAD', 25.00],
+    ['FOCO AHORRADOR', 'UNIDAD', 30.00],
+    ['EXTENSIÓN ELÉCTRICA', 'UNIDAD', 55.00],
+    ['CLAVIJA ELÉCTRICA', 'UNIDAD', 12.00],
+    ['TABLERO ELÉCTRICO', 'UNIDAD', 350.00],
+    ['BREAKER (INTERRUPTOR TERMOMAGNÉTICO)', 'UNIDAD', 85.00],
+    ['CAJA OCTOGONAL', 'UNIDAD', 6.00],
+    ['CAJA RECTANGULAR', 'UNIDAD', 5.00],
+    ['TUBO CONDUIT', 'UNIDAD', 18.00],
+    ['CONECTOR PARA CONDUIT', 'UNIDAD', 3.00],
+    ['TIMBRE ELÉCTRICO', 'UNIDAD', 75.00],
+    ['LÁMPARA FLUORESCENTE', 'UNIDAD', 120.00],
+    ['REFLECTOR LED', 'UNIDAD', 150.00],
+    ['CABLE COAXIAL', 'METRO', 5.00],
+    ['ENCHUFE POLARIZADO', 'UNIDAD', 15.00],
+    ['REGULADOR DE VOLTAJE', 'UNIDAD', 250.00],
+    ['MULTÍMETRO', 'UNIDAD', 180.00]
+]);
 
-const pinturasAccesorios = [
-    'BROCHA',
-    'RODILLO PARA PINTAR',
-    'PINTURA DE AGUA',
-    'PINTURA DE ACEITE',
-    'THINNER',
-    'LIJA PARA MADERA',
-    'LIJA PARA METAL',
-    'SELLADOR DE MADERA',
-    'BARNIZ',
-    'PINTURA EN SPRAY',
-    'MASILLA',
-    'REMOVEDOR DE PINTURA',
-    'BANDEJA PARA PINTURA',
-    'CINTA DE PINTOR',
-    'ESPÁTULA',
-    'PISTOLA PARA PINTAR',
-    'IMPERMEABILIZANTE',
-    'PINTURA ANTICORROSIVA',
-    'DILUYENTE',
-    'TINTE PARA MADERA'
-];
+const plomeria = createCategory('plomeria', 'PL', [
+    ['TUBO PVC', 'UNIDAD', 45.00],
+    ['CODO PVC', 'UNIDAD', 5.00],
+    ['PEGAMENTO PVC', 'UNIDAD', 35.00],
+    ['MANGUERA DE JARDÍN', 'UNIDAD', 120.00],
+    ['LLAVE DE PASO', 'UNIDAD', 45.00],
+    ['LLAVE DE CHORRO', 'UNIDAD', 40.00],
+    ['VÁLVULA CHECK', 'UNIDAD', 85.00],
+    ['SIFÓN', 'UNIDAD', 35.00],
+    ['REDUCCIÓN PVC', 'UNIDAD', 6.00],
+    ['TEE PVC', 'UNIDAD', 6.00],
+    ['UNIÓN UNIVERSAL', 'UNIDAD', 25.00],
+    ['TUBO CPVC', 'UNIDAD', 65.00],
+    ['CODO CPVC', 'UNIDAD', 8.00],
+    ['TAPÓN PVC', 'UNIDAD', 4.00],
+    ['TRAMPA DE GRASA', 'UNIDAD', 450.00],
+    ['FLOTADOR DE CISTERNA', 'UNIDAD', 95.00],
+    ['FLANGE PARA INODORO', 'UNIDAD', 30.00],
+    ['LLAVE DE LAVAMANOS', 'UNIDAD', 150.00],
+    ['REGADERA', 'UNIDAD', 90.00],
+    ['TUBO FLEXIBLE', 'UNIDAD', 35.00]
+]);
 
-const cerrajeria = [
-    'CANDADO',
-    'CERRADURA',
-    'BISAGRA',
-    'PASADOR',
-    'ALDABA',
-    'MANIJA',
-    'CERRADURA ELÉCTRICA',
-    'COPIA DE LLAVE',
-    'CERROJO',
-    'CHAPA DE GAVETA',
-    'PICAPORTE',
-    'CIERRA PUERTA',
-    'TOPE DE PUERTA',
-    'CERRADURA DIGITAL',
-    'LLAVE MAESTRA'
-];
+const pinturasAccesorios = createCategory('pinturasAccesorios', 'PA', [
+    ['BROCHA', 'UNIDAD', 20.00],
+    ['RODILLO PARA PINTAR', 'UNIDAD', 35.00],
+    ['PINTURA DE AGUA', 'GALÓN', 150.00],
+    ['PINTURA DE ACEITE', 'GALÓN', 220.00],
+    ['THINNER', 'GALÓN', 75.00],
+    ['LIJA PARA MADERA', 'PLIEGO', 5.00],
+    ['LIJA PARA METAL', 'PLIEGO', 6.00],
+    ['SELLADOR DE MADERA', 'GALÓN', 180.00],
+    ['BARNIZ', 'GALÓN', 200.00],
+    ['PINTURA EN SPRAY', 'UNIDAD', 40.00],
+    ['MASILLA', 'GALÓN', 90.00],
+    ['REMOVEDOR DE PINTURA', 'LITRO', 85.00],
+    ['BANDEJA PARA PINTURA', 'UNIDAD', 25.00],
+    ['CINTA DE PINTOR', 'ROLLO', 18.00],
+    ['ESPÁTULA', 'UNIDAD', 20.00],
+    ['PISTOLA PARA PINTAR', 'UNIDAD', 350.00],
+    ['IMPERMEABILIZANTE', 'CUBETA', 650.00],
+    ['PINTURA ANTICORROSIVA', 'GALÓN', 230.00],
+    ['DILUYENTE', 'LITRO', 35.00],
+    ['TINTE PARA MADERA', 'LITRO', 60.00]
+]);
 
-const adhesivos = [
-    'SILICÓN',
-    'SELLADOR ACRÍLICO',
-    'CINTA DE AISLAR',
-    'PEGAMENTO EPOXY',
-    'CEMENTO DE CONTACTO',
-    'CINTA DOBLE CARA',
-    'PEGAMENTO INSTANTÁNEO',
-    'MASILLA EPÓXICA',
-    'CINTA TEFLÓN',
-    'CINTA FIBRA DE VIDRIO',
-    'ADHESIVO PVC',
-    'CINTA ANTIDESLIZANTE',
-    'ADHESIVO INDUSTRIAL',
-    'CINTA VULCANIZADA',
-    'PEGAMENTO PARA MADERA'
-];
+const cerrajeria = createCategory('cerrajeria', 'CE', [
+    ['CANDADO', 'UNIDAD', 45.00],
+    ['CERRADURA', 'UNIDAD', 150.00],
+    ['BISAGRA', 'PAR', 20.00],
+    ['PASADOR', 'UNIDAD', 15.00],
+    ['ALDABA', 'UNIDAD', 18.00],
+    ['MANIJA', 'UNIDAD', 35.00],
+    ['CERRADURA ELÉCTRICA', 'UNIDAD', 450.00],
+    ['COPIA DE LLAVE', 'UNIDAD', 10.00],
+    ['CERROJO', 'UNIDAD', 60.00],
+    ['CHAPA DE GAVETA', 'UNIDAD', 30.00],
+    ['PICAPORTE', 'UNIDAD', 40.00],
+    ['CIERRA PUERTA', 'UNIDAD', 280.00],
+    ['TOPE DE PUERTA', 'UNIDAD', 15.00],
+    ['CERRADURA DIGITAL', 'UNIDAD', 1200.00],
+    ['LLAVE MAESTRA', 'UNIDAD', 25.00]
+]);
 
-const equipoJardin = [
-    'PALA CUADRADA',
-    'PALA PUNTA',
-    'CARRETILLA',
-    'ESCALERA DE ALUMINIO',
-    'RASTRILLO',
-    'TIJERA DE PODAR',
-    'MANGUERA DE RIEGO',
-    'ASPERSOR',
-    'PODADORA',
-    'PICO',
-    'AZADÓN',
-    'BOMBA FUMIGADORA',
-    'CARRETA DE MANO',
-    'ESCOBA METÁLICA',
-    'MACHETE COLIMA',
-    'MACHETE LARGO',
-    'REGADERA',
-    'MOTOGUADAÑA',
-    'CORTASETOS',
-    'PALA DE JARDÍN'
-];
+const adhesivos = createCategory('adhesivos', 'AD', [
+    ['SILICÓN', 'TUBO', 35.00],
+    ['SELLADOR ACRÍLICO', 'TUBO', 30.00],
+    ['CINTA DE AISLAR', 'ROLLO', 8.00],
+    ['PEGAMENTO EPOXY', 'UNIDAD', 30.00],
+    ['CEMENTO DE CONTACTO', 'UNIDAD', 40.00],
+    ['CINTA DOBLE CARA', 'ROLLO', 25.00],
+    ['PEGAMENTO INSTANTÁNEO', 'UNIDAD', 12.00],
+    ['MASILLA EPÓXICA', 'UNIDAD', 35.00],
+    ['CINTA TEFLÓN', 'ROLLO', 5.00],
+    ['CINTA FIBRA DE VIDRIO', 'ROLLO', 45.00],
+    ['ADHESIVO PVC', 'UNIDAD', 35.00],
+    ['CINTA ANTIDESLIZANTE', 'ROLLO', 90.00],
+    ['ADHESIVO INDUSTRIAL', 'UNIDAD', 75.00],
+    ['CINTA VULCANIZADA', 'ROLLO', 30.00],
+    ['PEGAMENTO PARA MADERA', 'UNIDAD', 25.00]
+]);
+
+const equipoJardin = createCategory('equipoJardin', 'EJ', [
+    ['PALA CUADRADA', 'UNIDAD', 95.00],
+    ['PALA PUNTA', 'UNIDAD', 95.00],
+    ['CARRETILLA', 'UNIDAD', 550.00],
+    ['ESCALERA DE ALUMINIO', 'UNIDAD', 850.00],
+    ['RASTRILLO', 'UNIDAD', 60.00],
+    ['TIJERA DE PODAR', 'UNIDAD', 85.00],
+    ['MANGUERA DE RIEGO', 'UNIDAD', 150.00],
+    ['ASPERSOR', 'UNIDAD', 45.00],
+    ['PODADORA', 'UNIDAD', 2500.00],
+    ['PICO', 'UNIDAD', 90.00],
+    ['AZADÓN', 'UNIDAD', 80.00],
+    ['BOMBA FUMIGADORA', 'UNIDAD', 450.00],
+    ['CARRETA DE MANO', 'UNIDAD', 400.00],
+    ['ESCOBA METÁLICA', 'UNIDAD', 45.00],
+    ['MACHETE COLIMA', 'UNIDAD', 60.00],
+    ['MACHETE LARGO', 'UNIDAD', 55.00],
+    ['REGADERA DE JARDÍN', 'UNIDAD', 50.00],
+    ['MOTOGUADAÑA', 'UNIDAD', 2200.00],
+    ['CORTASETOS', 'UNIDAD', 650.00],
+    ['PALA DE JARDÍN', 'UNIDAD', 40.00]
+]);
+
+/**
+ * Display names of the catalog categories.
+ * @type {Object.<string, string>}
+ */
+export const categoryLabels = {
+    herramientasManuales: 'Herramientas manuales',
+    herramientasElectricas: 'Herramientas eléctricas',
+    materialesConstruccion: 'Materiales de construcción',
+    materialesElectricos: 'Materiales eléctricos',
+    plomeria: 'Plomería',
+    pinturasAccesorios: 'Pinturas y accesorios',
+    cerrajeria: 'Cerrajería',
+    adhesivos: 'Adhesivos',
+    equipoJardin: 'Equipo de jardín'
+};
 
 export const categorias = {
     herramientasManuales,
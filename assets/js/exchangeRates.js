@@ -0,0 +1,187 @@
+import { Validations } from './validations.js';
+import { QuoteUtils } from './utils.js';
+import { CURRENCY, CURRENCIES } from './constants.js';
+
+/**
+ * Table of exchange rates maintained by the user: for each currency other
+ * than the base one ({@link CURRENCY}), the amount of the base currency per
+ * unit, effective from a date until the next rate of the same currency.
+ */
+export class ExchangeRateTable {
+    /**
+     * Creates the exchange rate panel.
+     * @param {ExchangeRateStorage} storage - Storage holding the rates
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.rates = [];
+        this.currencySelect = document.getElementById('tasa-moneda');
+        this.rateInput = document.getElementById('tasa-valor');
+        this.dateInput = document.getElementById('tasa-fecha');
+        this.addButton = document.getElementById('agregar-tasa');
+        this.list = document.getElementById('tasas-lista');
+
+        if (!this.currencySelect || !this.rateInput || !this.dateInput || !this.addButton || !this.list) {
+            console.error('Exchange rate elements not found');
+            return;
+        }
+
+        Object.values(CURRENCIES)
+            .filter(currency => currency.code !== CURRENCY.code)
+            .forEach(currency => this.currencySelect.appendChild(new Option(currency.label, currency.code)));
+        this.dateInput.value = QuoteUtils.toDateInputValue(new Date());
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Sets up the add button and the delegated delete buttons of the list.
+     * @private
+     */
+    initializeEventListeners() {
+        this.addButton.addEventListener('click', () => this.addRate());
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="delete"]');
+            if (button) this.deleteRate(button.closest('[data-id]').dataset.id);
+        });
+    }
+
+    /**
+     * Loads the saved exchange rates and lists them.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        try {
+            this.rates = await this.storage.getAllRates();
+        } catch (error) {
+            console.error('Error loading exchange rates:', error);
+        }
+        this.render();
+    }
+
+    /**
+     * Gets the exchange rate of a currency effective on a date: the one with
+     * the latest effective date that is not after it.
+     * @param {string} code - Currency code
+     * @param {Date} date - Date the rate applies to
+     * @returns {?{rate: number, effectiveDate: ?string}} The rate, or null if there is none yet;
+     * the base currency always has a rate of 1
+     */
+    getRate(code, date) {
+        if (code === CURRENCY.code) return { rate: 1, effectiveDate: null };
+
+        const day = QuoteUtils.toDateInputValue(date);
+        return this.rates
+            .filter(rate => rate.currency === code && rate.effectiveDate <= day)
+            .reduce((latest, rate) => !latest || rate.effectiveDate > latest.effectiveDate ? rate : latest, null);
+    }
+
+    /**
+     * Saves the rate in the form, replacing the rate of the same currency and date, if any.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async addRate() {
+        const rate = Number(this.rateInput.value);
+        const effectiveDate = this.dateInput.value;
+
+        if (!(rate > 0)) {
+            Validations.notyf.error('El tipo de cambio debe ser un número mayor que 0.');
+            return;
+        }
+        if (!QuoteUtils.parseDateInput(effectiveDate)) {
+            Validations.notyf.error('La fecha de vigencia no es válida.');
+            return;
+        }
+
+        const currency = this.currencySelect.value;
+        const existing = this.rates.find(item => item.currency === currency && item.effectiveDate === effectiveDate);
+
+        try {
+            await this.storage.saveRate({ id: existing?.id, currency, rate, effectiveDate });
+            await this.load();
+            this.rateInput.value = '';
+            Validations.notyf.success('Tipo de cambio guardado.');
+        } catch (error) {
+            console.error('Error saving exchange rate:', error);
+            Validations.notyf.error('No se pudo guardar el tipo de cambio. Por favor, intenta nuevamente.');
+        }
+    }
+
+    /**
+     * Deletes an exchange rate, after confirmation.
+     * @private
+     * @param {string} id - Exchange rate ID
+     * @returns {Promise<void>}
+     */
+    async deleteRate(id) {
+        if (!window.confirm('¿Eliminar este tipo de cambio? Las cotizaciones que ya lo usan lo conservan.')) {
+            return;
+        }
+
+        try {
+            await this.storage.deleteRate(id);
+        } catch (error) {
+            console.error('Error deleting exchange rate:', error);
+            Validations.notyf.error('No se pudo eliminar el tipo de cambio. Por favor, intenta nuevamente.');
+        }
+        await this.load();
+    }
+
+    /**
+     * Lists the saved rates by currency, the most recent first.
+     * @private
+     */
+    render() {
+        if (!this.list) return;
+        this.list.innerHTML = '';
+
+        if (!this.rates.length) {
+            const empty = document.createElement('li');
+            empty.classList.add('history-empty');
+            empty.textContent = 'No hay tipos de cambio registrados.';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        const fragment = document.createDocumentFragment();
+        this.rates.forEach(rate => fragment.appendChild(this.createItem(rate)));
+        this.list.appendChild(fragment);
+    }
+
+    /**
+     * Creates the list item of an exchange rate.
+     * @private
+     * @param {Object} rate - Exchange rate record
+     * @returns {HTMLLIElement} The list item
+     */
+    createItem(rate) {
+        const item = document.createElement('li');
+        item.classList.add('history-item');
+        item.dataset.id = rate.id;
+
+        const info = document.createElement('div');
+        info.classList.add('history-info');
+
+        const value = document.createElement('strong');
+        value.textContent = `${QuoteUtils.formatCurrency(1, rate.currency)} = ${QuoteUtils.formatRate(rate.rate)}`;
+
+        const since = document.createElement('span');
+        since.textContent = `Vigente desde el ${QuoteUtils.formatDate(QuoteUtils.parseDateInput(rate.effectiveDate))}`;
+
+        info.append(value, since);
+
+        const button = document.createElement('button');
+        button.setAttribute('type', 'button');
+        button.setAttribute('title', 'Eliminar');
+        button.setAttribute('aria-label', 'Eliminar');
+        button.dataset.action = 'delete';
+        button.classList.add('btn-danger');
+
+        const icon = document.createElement('i');
+        icon.classList.add('fas', 'fa-trash');
+        button.appendChild(icon);
+
+        item.append(info, button);
+        return item;
+    }
+}
@@ -0,0 +1,199 @@
+import { QuoteUtils } from './utils.js';
+import { Validations } from './validations.js';
+import { QUOTE_STATUS_LABELS, DOCUMENT_TYPES } from './constants.js';
+
+/**
+ * Panel listing the locally stored quotes, with search by client,
+ * quote number, date and status, and actions to reopen or delete a quote.
+ */
+export class QuoteHistory {
+    /**
+     * Creates a new QuoteHistory panel.
+     * @param {QuoteStorage} storage - Storage holding the quotes
+     * @param {Object} handlers - Callbacks for the panel actions
+     * @param {function(Object): void} handlers.onOpen - Called with the record of the quote to reopen
+     * @param {function(Object): void} [handlers.onDelete] - Called after a quote has been deleted
+     */
+    constructor(storage, { onOpen, onDelete }) {
+        this.storage = storage;
+        this.onOpen = onOpen;
+        this.onDelete = onDelete;
+        this.searchInput = document.getElementById('historial-busqueda');
+        this.dateInput = document.getElementById('historial-fecha');
+        this.statusSelect = document.getElementById('historial-estado');
+        this.list = document.getElementById('historial-lista');
+
+        if (!this.searchInput || !this.dateInput || !this.statusSelect || !this.list) {
+            console.error('History panel elements not found');
+            return;
+        }
+
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Sets up search inputs and delegated list actions.
+     * @private
+     */
+    initializeEventListeners() {
+        this.searchInput.addEventListener('input', () => this.refresh());
+        this.dateInput.addEventListener('change', () => this.refresh());
+        this.statusSelect.addEventListener('change', () => this.refresh());
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const id = button.closest('[data-id]').dataset.id;
+            if (button.dataset.action === 'open') {
+                this.openQuote(id);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteQuote(id);
+            }
+        });
+    }
+
+    /**
+     * Reopens a saved quote.
+     * @private
+     * @param {string} id - Quote ID
+     * @returns {Promise<void>}
+     */
+    async openQuote(id) {
+        try {
+            const record = await this.storage.getQuote(id);
+            if (record) this.onOpen(record);
+        } catch (error) {
+            console.error('Error opening quote:', error);
+            Validations.notyf.error('No se pudo abrir la cotización. Por favor, intenta nuevamente.');
+        }
+    }
+
+    /**
+     * Deletes a saved quote, after confirmation, and reloads the list.
+     * @private
+     * @param {string} id - Quote ID
+     * @returns {Promise<void>}
+     */
+    async deleteQuote(id) {
+        if (!window.confirm('¿Eliminar esta cotización? Esta acción no se puede deshacer.')) {
+            return;
+        }
+
+        try {
+            await this.storage.deleteQuote(id);
+            if (this.onDelete) this.onDelete(id);
+        } catch (error) {
+            console.error('Error deleting quote:', error);
+            Validations.notyf.error('No se pudo eliminar la cotización. Por favor, intenta nuevamente.');
+        }
+        await this.refresh();
+    }
+
+    /**
+     * Reloads the list applying the current search criteria.
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        if (!this.list) return;
+
+        try {
+            const records = await this.storage.searchQuotes({
+                text: this.searchInput.value,
+                date: this.dateInput.value,
+                status: this.statusSelect.value
+            });
+            this.render(records);
+        } catch (error) {
+            console.error('Error loading quote history:', error);
+        }
+    }
+
+    /**
+     * Renders the given quote records.
+     * @private
+     * @param {Object[]} records - Quote records to display
+     */
+    render(records) {
+        this.list.innerHTML = '';
+
+        if (!records.length) {
+            const empty = document.createElement('li');
+            empty.classList.add('history-empty');
+            empty.textContent = 'No se encontraron cotizaciones.';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        const fragment = document.createDocumentFragment();
+        records.forEach(record => fragment.appendChild(this.createItem(record)));
+        this.list.appendChild(fragment);
+    }
+
+    /**
+     * Creates the list item for a quote record.
+     * @private
+     * @param {Object} record - Quote record
+     * @returns {HTMLLIElement} The list item
+     */
+    createItem(record) {
+        const item = document.createElement('li');
+        item.classList.add('history-item');
+        item.dataset.id = record.id;
+
+        const info = document.createElement('div');
+        info.classList.add('history-info');
+
+        const client = document.createElement('strong');
+        client.textContent = record.clientName || 'Sin cliente';
+
+        const status = document.createElement('em');
+        status.classList.add('history-status', `status-${record.status}`);
+        status.textContent = QUOTE_STATUS_LABELS[record.status];
+        client.appendChild(status);
+
+        const details = document.createElement('span');
+        details.textContent = [
+            DOCUMENT_TYPES[record.documentType || 'cotizacion'].label,
+            record.number || 'Sin número',
+            new Date(record.createdAt).toLocaleDateString(),
+            QuoteUtils.formatCurrency(record.total, record.currency)
+        ].join(' · ');
+
+        info.append(client, details);
+
+        const actions = document.createElement('div');
+        actions.classList.add('history-actions');
+        actions.append(
+            this.createButton('open', 'btn-primary', 'fa-folder-open', 'Abrir'),
+            this.createButton('delete', 'btn-danger', 'fa-trash', 'Eliminar')
+        );
+
+        item.append(info, actions);
+        return item;
+    }
+
+    /**
+     * Creates an action button for a list item.
+     * @private
+     * @param {string} action - Action name stored in `data-action`
+     * @param {string} className - Button style class
+     * @param {string} iconName - FontAwesome icon class
+     * @param {string} label - Accessible label
+     * @returns {HTMLButtonElement} The button
+     */
+    createButton(action, className, iconName, label) {
+        const button = document.createElement('button');
+        button.setAttribute('type', 'button');
+        button.setAttribute('title', label);
+        button.setAttribute('aria-label', label);
+        button.dataset.action = action;
+        button.classList.add(className);
+
+        const icon = document.createElement('i');
+        icon.classList.add('fas', iconName);
+        button.appendChild(icon);
+
+        return button;
+    }
+}
@@ -0,0 +1,242 @@
+import { QuoteUtils } from './utils.js';
+import { PAPER_SIZES } from './pdfExporter.js';
+
+/**
+ * Width of the page images before scaling, in CSS pixels (A4 at 96 dpi).
+ * @constant {number}
+ */
+const PAGE_WIDTH = 794;
+
+/**
+ * Scale of the captured images, for print quality.
+ * @constant {number}
+ */
+const CAPTURE_SCALE = 2;
+
+/**
+ * Builds PNG images of a quote, one per page of the chosen paper size, from
+ * the quote preview (`#capture`). Every page repeats the company header and
+ * the column headings; only the first one shows the quote and client details.
+ * Lines that do not fit continue on the next page with the amount carried
+ * forward, totals and observations go on the last page, and every page is
+ * numbered. Relies on the html2canvas library loaded globally.
+ */
+export class QuoteImageExporter {
+    /**
+     * Creates a new exporter.
+     * @param {Object} [options={}] - Export options
+     * @param {string} [options.paperSize='a4'] - Key of {@link PAPER_SIZES}
+     */
+    constructor({ paperSize = 'a4' } = {}) {
+        if (typeof html2canvas !== 'function') {
+            throw new Error('html2canvas library is not loaded');
+        }
+        const paper = PAPER_SIZES[paperSize] || PAPER_SIZES.a4;
+        this.pageHeight = Math.round(PAGE_WIDTH * paper.height / paper.width);
+    }
+
+    /**
+     * Builds the page images of a quote.
+     * @param {HTMLTableElement} capture - Quote preview table
+     * @param {QuoteState} state - Quote shown in the preview
+     * @returns {Promise<string[]>} PNG data URL of each page
+     */
+    async build(capture, state) {
+        this.currency = state.currency.code;
+        const container = document.createElement('div');
+        container.classList.add('quote-pages');
+        document.body.appendChild(container);
+
+        try {
+            const pages = this.paginate(capture, state, container);
+            pages.forEach((page, index) => {
+                page.footer.append(
+                    this.createText(state.getQuoteNumber()),
+                    this.createText(`Página ${index + 1} de ${pages.length}`)
+                );
+            });
+
+            const images = [];
+            for (const page of pages) {
+                images.push(await this.capturePage(page.element));
+            }
+            return images;
+        } finally {
+            container.remove();
+        }
+    }
+
+    /**
+     * Lays out the rows of the preview on pages, moving a row to a new page
+     * when it would overflow the current one together with the carried amount.
+     * @private
+     * @param {HTMLTableElement} capture - Quote preview table
+     * @param {QuoteState} state - Quote shown in the preview
+     * @param {HTMLElement} container - Element receiving the pages while they are measured
+     * @returns {Object[]} Pages (see {@link QuoteImageExporter#createPage})
+     */
+    paginate(capture, state, container) {
+        const pages = [this.createPage(capture, container, true)];
+        let page = pages[0];
+        let carried = 0;
+
+        const startPage = () => {
+            page.tbody.appendChild(this.createCarriedRow('Van:', carried));
+            page = this.createPage(capture, container, false);
+            page.tbody.appendChild(this.createCarriedRow('Vienen:', carried));
+            pages.push(page);
+        };
+
+        [...capture.tBodies[0].rows]
+            .filter(row => !row.classList.contains('empty-row'))
+            .forEach(source => {
+                const product = state.products.find(item => item.id === source.dataset.id);
+                const net = product ? state.getLineAmounts(product).net : 0;
+                const row = this.cloneElement(source);
+
+                page.tbody.appendChild(row);
+                const carriedRow = page.tbody.appendChild(this.createCarriedRow('Van:', carried + net));
+                const overflows = this.overflows(page);
+                carriedRow.remove();
+
+                if (overflows && page.lines > 0) {
+                    row.remove();
+                    startPage();
+                    page.tbody.appendChild(row);
+                }
+                page.lines++;
+                carried += net;
+            });
+
+        const totals = this.cloneElement(capture.tFoot);
+        page.table.appendChild(totals);
+        if (this.overflows(page) && page.lines > 0) {
+            totals.remove();
+            startPage();
+            page.table.appendChild(totals);
+        }
+
+        return pages;
+    }
+
+    /**
+     * Creates an empty page with the company header and the column headings,
+     * and the quote and client details on the first page.
+     * @private
+     * @param {HTMLTableElement} capture - Quote preview table
+     * @param {HTMLElement} container - Element receiving the page
+     * @param {boolean} first - Whether it is the first page
+     * @returns {{element: HTMLElement, table: HTMLTableElement, tbody: HTMLTableSectionElement,
+     * footer: HTMLElement, lines: number}} The page, its table and footer, and its number of rows
+     */
+    createPage(capture, container, first) {
+        const element = document.createElement('div');
+        element.classList.add('quote-page');
+        element.style.width = `${PAGE_WIDTH}px`;
+        element.style.height = `${this.pageHeight}px`;
+
+        const table = document.createElement('table');
+        table.style.cssText = capture.style.cssText;
+        const thead = this.cloneElement(capture.tHead);
+        if (!first) {
+            thead.querySelectorAll('.info-row').forEach(row => row.remove());
+        }
+        const tbody = document.createElement('tbody');
+        table.append(thead, tbody);
+
+        const footer = document.createElement('div');
+        footer.classList.add('page-footer');
+
+        element.append(table, footer);
+        container.appendChild(element);
+        return { element, table, tbody, footer, lines: 0 };
+    }
+
+    /**
+     * Copies a row or section of the preview table without its IDs, which
+     * must stay unique, and without the delete buttons. Images are loaded
+     * right away, as the pages are never scrolled into view.
+     * @private
+     * @param {HTMLElement} source - Element to copy
+     * @returns {HTMLElement} The copy
+     */
+    cloneElement(source) {
+        const copy = source.cloneNode(true);
+        copy.removeAttribute('id');
+        copy.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+        copy.querySelectorAll('.actions-cell').forEach(cell => cell.remove());
+        copy.querySelectorAll('img').forEach(image => { image.loading = 'eager'; });
+        return copy;
+    }
+
+    /**
+     * Creates the row with the sum of the line subtotals carried from one page to the next.
+     * @private
+     * @param {string} label - 'Van:' at the foot of a page, 'Vienen:' at the top of the next one
+     * @param {number} amount - Sum of the line subtotals so far
+     * @returns {HTMLTableRowElement} The row
+     */
+    createCarriedRow(label, amount) {
+        const row = document.createElement('tr');
+        row.classList.add('carried-row');
+
+        const labelCell = document.createElement('td');
+        labelCell.colSpan = 4;
+        labelCell.classList.add('total-label');
+        labelCell.textContent = label;
+
+        const amountCell = document.createElement('td');
+        amountCell.classList.add('money-cell');
+        amountCell.textContent = QuoteUtils.formatCurrency(amount, this.currency);
+
+        row.append(labelCell, amountCell);
+        return row;
+    }
+
+    /**
+     * Creates a text of the page footer.
+     * @private
+     * @param {string} text - Text to show
+     * @returns {HTMLSpanElement} The text element
+     */
+    createText(text) {
+        const span = document.createElement('span');
+        span.textContent = text;
+        return span;
+    }
+
+    /**
+     * Checks whether the contents of a page are taller than the page.
+     * @private
+     * @param {{element: HTMLElement}} page - Page to check
+     * @returns {boolean} True if the page overflows
+     */
+    overflows(page) {
+        return page.element.scrollHeight > page.element.clientHeight;
+    }
+
+    /**
+     * Captures a page as a PNG image.
+     * @private
+     * @param {HTMLElement} element - Page element
+     * @returns {Promise<string>} PNG data URL
+     * @throws {Error} If the page cannot be captured
+     */
+    async capturePage(element) {
+        const canvas = await html2canvas(element, {
+            backgroundColor: '#ffffff',
+            scale: CAPTURE_SCALE,
+            useCORS: true,
+            allowTaint: false,
+            logging: false,
+            removeContainer: true,
+            imageTimeout: 15000
+        });
+
+        const imageUrl = canvas?.toDataURL('image/png', 1.0);
+        if (!imageUrl || imageUrl === 'data:,') {
+            throw new Error('Failed to generate image data');
+        }
+        return imageUrl;
+    }
+}
@@ -0,0 +1,111 @@
+import { Database, STORES } from './storage.js';
+import { NUMBERING } from './constants.js';
+
+/**
+ * Placeholders supported in quote number formats, replaced by parts of the quote date.
+ * The sequence is written as `{N}`, with as many N as digits (e.g. `{NNNNN}` → 00042).
+ * @constant {Object.<string, function(Date): string>}
+ */
+const DATE_PLACEHOLDERS = {
+    AAAA: date => String(date.getFullYear()),
+    AA: date => String(date.getFullYear()).slice(-2),
+    MM: date => String(date.getMonth() + 1).padStart(2, '0'),
+    DD: date => String(date.getDate()).padStart(2, '0')
+};
+
+const SEQUENCE_PLACEHOLDER = /\{(N+)\}/g;
+
+/**
+ * Static class issuing consecutive quote numbers such as `COT-2026-00042`.
+ *
+ * The last number of each sequence is stored in IndexedDB and incremented inside
+ * a single read-write transaction, which IndexedDB runs one at a time even across
+ * browser tabs, so two tabs never receive the same number. Numbers already used
+ * by a stored quote (for example after changing the format) are skipped.
+ */
+export class QuoteNumbering {
+    /**
+     * Reserves the next quote number.
+     * @static
+     * @param {Object} [options={}] - Numbering options
+     * @param {string} [options.format] - Number format (see {@link QuoteNumbering.format})
+     * @param {string} [options.reset] - When the sequence starts over: 'never', 'yearly' or 'daily'
+     * @param {string} [options.sequence='quote'] - Name of the sequence, one per type of document
+     * @param {Date} [date=new Date()] - Date of the quote
+     * @returns {Promise<string>} The reserved quote number
+     */
+    static async next({ format = NUMBERING.format, reset = NUMBERING.reset, sequence = 'quote' } = {}, date = new Date()) {
+        const pattern = this.isValidFormat(format) ? format : NUMBERING.format;
+        const key = this.getSequenceKey(sequence, reset, date);
+        const db = await Database.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.COUNTERS, STORES.QUOTES], 'readwrite');
+            const counters = transaction.objectStore(STORES.COUNTERS);
+            const usedNumbers = transaction.objectStore(STORES.QUOTES).index('number');
+            let number = null;
+
+            const reserve = (sequence) => {
+                number = this.format(pattern, sequence, date);
+                usedNumbers.count(number).onsuccess = (event) => {
+                    if (event.target.result > 0) {
+                        reserve(sequence + 1);
+                    } else {
+                        counters.put({ key, value: sequence });
+                    }
+                };
+            };
+            counters.get(key).onsuccess = (event) => reserve((event.target.result?.value || 0) + 1);
+
+            transaction.oncomplete = () => resolve(number);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Builds a quote number from a format.
+     * @static
+     * @param {string} format - Format with the placeholders {AAAA}, {AA}, {MM}, {DD} and {N}
+     * @param {number} sequence - Consecutive number
+     * @param {Date} date - Date of the quote
+     * @returns {string} The quote number
+     * @example
+     * QuoteNumbering.format('COT-{AAAA}-{NNNNN}', 42, new Date(2026, 0, 5)) // Returns "COT-2026-00042"
+     */
+    static format(format, sequence, date) {
+        return format
+            .replace(SEQUENCE_PLACEHOLDER, (_, digits) => String(sequence).padStart(digits.length, '0'))
+            .replace(/\{(AAAA|AA|MM|DD)\}/g, (_, part) => DATE_PLACEHOLDERS[part](date));
+    }
+
+    /**
+     * Checks that a format includes the sequence, so that every number is different.
+     * @static
+     * @param {string} format - Number format
+     * @returns {boolean} True if the format can be used
+     */
+    static isValidFormat(format) {
+        return typeof format === 'string' && new RegExp(SEQUENCE_PLACEHOLDER.source).test(format);
+    }
+
+    /**
+     * Gets the key of the sequence a date belongs to.
+     * @static
+     * @private
+     * @param {string} sequence - Name of the sequence
+     * @param {string} reset - 'never', 'yearly' or 'daily'
+     * @param {Date} date - Date of the quote
+     * @returns {string} Sequence key
+     */
+    static getSequenceKey(sequence, reset, date) {
+        if (reset === 'daily') {
+            const { AAAA, MM, DD } = DATE_PLACEHOLDERS;
+            return `${sequence}-${AAAA(date)}-${MM(date)}-${DD(date)}`;
+        }
+        if (reset === 'yearly') {
+            return `${sequence}-${date.getFullYear()}`;
+        }
+        return sequence;
+    }
+}
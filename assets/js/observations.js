@@ -0,0 +1,223 @@
+import { Validations } from './validations.js';
+import { OBSERVATION_TEMPLATES } from './constants.js';
+
+/**
+ * Observations of the quote and the library of observation templates: the
+ * lines of the quote are edited in place or removed, and templates (terms of
+ * delivery, payment, warranty…) are added to the quote, edited, saved for
+ * later or deleted. The first time it runs, the default templates
+ * ({@link OBSERVATION_TEMPLATES}) are saved so that they can be edited.
+ */
+export class ObservationEditor {
+    /**
+     * Creates the observations panel.
+     * @param {TemplateStorage} storage - Storage holding the templates
+     * @param {Object} handlers - Callbacks for the panel actions
+     * @param {function(string[]): void} handlers.onChange - Called with the observation lines changed in the panel
+     */
+    constructor(storage, { onChange }) {
+        this.storage = storage;
+        this.onChange = onChange;
+        this.templates = [];
+        this.lines = [];
+        this.templateSelect = document.getElementById('plantilla-observacion');
+        this.titleInput = document.getElementById('plantilla-titulo');
+        this.textInput = document.getElementById('plantilla-texto');
+        this.addButton = document.getElementById('agregar-observacion');
+        this.saveButton = document.getElementById('guardar-plantilla');
+        this.deleteButton = document.getElementById('eliminar-plantilla');
+        this.list = document.getElementById('observaciones-lista');
+
+        if (!this.templateSelect || !this.titleInput || !this.textInput || !this.addButton ||
+            !this.saveButton || !this.deleteButton || !this.list) {
+            console.error('Observation editor elements not found');
+            return;
+        }
+
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Sets up the template form and the delegated inputs and buttons of the list.
+     * @private
+     */
+    initializeEventListeners() {
+        this.templateSelect.addEventListener('change', () => this.showTemplate(this.templateSelect.value));
+        this.addButton.addEventListener('click', () => this.addLine());
+        this.saveButton.addEventListener('click', () => this.saveTemplate());
+        this.deleteButton.addEventListener('click', () => this.deleteTemplate());
+
+        this.list.addEventListener('change', (e) => {
+            const input = e.target.closest('input[data-index]');
+            if (!input) return;
+            const text = input.value.trim();
+            if (text) {
+                this.lines[Number(input.dataset.index)] = text;
+                this.onChange([...this.lines]);
+            } else {
+                this.removeLine(Number(input.dataset.index));
+            }
+        });
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="delete"]');
+            if (button) this.removeLine(Number(button.dataset.index));
+        });
+    }
+
+    /**
+     * Loads the saved templates, saving the default ones if there are none.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        try {
+            this.templates = await this.storage.getAllTemplates();
+            if (!this.templates.length) {
+                for (const template of OBSERVATION_TEMPLATES) {
+                    await this.storage.saveTemplate(template);
+                }
+                this.templates = await this.storage.getAllTemplates();
+            }
+        } catch (error) {
+            console.error('Error loading observation templates:', error);
+        }
+        this.renderOptions();
+    }
+
+    /**
+     * Shows the observation lines of a quote.
+     * @param {string[]} lines - Observation lines, with their placeholders
+     */
+    render(lines) {
+        this.lines = [...lines];
+        if (!this.list) return;
+        this.list.innerHTML = '';
+
+        this.lines.forEach((line, index) => {
+            const item = document.createElement('li');
+            item.classList.add('observation-item');
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.value = line;
+            input.dataset.index = index;
+            input.setAttribute('aria-label', `Observación ${index + 1}`);
+
+            const button = document.createElement('button');
+            button.setAttribute('type', 'button');
+            button.setAttribute('title', 'Quitar');
+            button.setAttribute('aria-label', 'Quitar');
+            button.dataset.action = 'delete';
+            button.dataset.index = index;
+            button.classList.add('btn-danger');
+
+            const icon = document.createElement('i');
+            icon.classList.add('fas', 'fa-trash');
+            button.appendChild(icon);
+
+            item.append(input, button);
+            this.list.appendChild(item);
+        });
+    }
+
+    /**
+     * Lists the templates and shows the selected one in the form.
+     * @private
+     * @param {string} [selected] - ID of the template to select; the current selection by default
+     */
+    renderOptions(selected = this.templateSelect?.value) {
+        if (!this.templateSelect) return;
+
+        this.templateSelect.innerHTML = '';
+        this.templateSelect.appendChild(new Option('Nueva plantilla', ''));
+        this.templates.forEach(template => this.templateSelect.appendChild(new Option(template.title, template.id)));
+        this.templateSelect.value = this.templates.some(template => template.id === selected) ? selected : '';
+        this.showTemplate(this.templateSelect.value);
+    }
+
+    /**
+     * Shows a template in the form, or an empty form for a new template.
+     * @private
+     * @param {string} id - Template ID, or an empty string for a new template
+     */
+    showTemplate(id) {
+        const template = this.templates.find(item => item.id === id);
+        this.titleInput.value = template?.title || '';
+        this.textInput.value = template?.text || '';
+        this.deleteButton.hidden = !template;
+    }
+
+    /**
+     * Adds the text in the form to the observations of the quote.
+     * @private
+     */
+    addLine() {
+        const text = this.textInput.value.trim();
+        if (!text) {
+            Validations.notyf.error('Escriba el texto de la observación o elija una plantilla.');
+            return;
+        }
+        this.render([...this.lines, text]);
+        this.onChange([...this.lines]);
+    }
+
+    /**
+     * Removes an observation line from the quote.
+     * @private
+     * @param {number} index - Position of the line
+     */
+    removeLine(index) {
+        this.render(this.lines.filter((line, position) => position !== index));
+        this.onChange([...this.lines]);
+    }
+
+    /**
+     * Saves the template in the form, updating the selected template if there is one.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async saveTemplate() {
+        const template = {
+            id: this.templateSelect.value || null,
+            title: this.titleInput.value.trim(),
+            text: this.textInput.value.trim()
+        };
+
+        try {
+            Validations.validateNotEmpty(template.title, 'El título de la plantilla es obligatorio.');
+            Validations.validateNotEmpty(template.text, 'El texto de la plantilla es obligatorio.');
+        } catch (error) {
+            return;
+        }
+
+        try {
+            const record = await this.storage.saveTemplate(template);
+            this.templates = await this.storage.getAllTemplates();
+            this.renderOptions(record.id);
+            Validations.notyf.success('Plantilla guardada.');
+        } catch (error) {
+            console.error('Error saving observation template:', error);
+            Validations.notyf.error('No se pudo guardar la plantilla. Por favor, intenta nuevamente.');
+        }
+    }
+
+    /**
+     * Deletes the selected template, after confirmation. Quotes keep the lines added from it.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async deleteTemplate() {
+        const id = this.templateSelect.value;
+        if (!id || !window.confirm('¿Eliminar esta plantilla? Las cotizaciones que la usan conservan sus observaciones.')) {
+            return;
+        }
+
+        try {
+            await this.storage.deleteTemplate(id);
+            this.templates = this.templates.filter(template => template.id !== id);
+            this.renderOptions();
+        } catch (error) {
+            console.error('Error deleting observation template:', error);
+            Validations.notyf.error('No se pudo eliminar la plantilla. Por favor, intenta nuevamente.');
+        }
+    }
+}
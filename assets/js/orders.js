@@ -0,0 +1,126 @@
+import { Validations } from './validations.js';
+
+/**
+ * Panel that turns an accepted quote into a sales order or proforma invoice,
+ * letting the quantity of each line be adjusted for a partial acceptance.
+ */
+export class OrderConversion {
+    /**
+     * Creates the conversion panel.
+     * @param {Object} handlers - Callbacks for the panel actions
+     * @param {function(QuoteState): void} handlers.onCreate - Called with the new document
+     */
+    constructor({ onCreate }) {
+        this.onCreate = onCreate;
+        this.quote = null;
+        this.panel = document.getElementById('conversion');
+        this.typeSelect = document.getElementById('tipo-documento');
+        this.lines = document.getElementById('conversion-lineas');
+        this.createButton = document.getElementById('crear-documento');
+        this.cancelButton = document.getElementById('cancelar-conversion');
+
+        if (!this.panel || !this.typeSelect || !this.lines || !this.createButton || !this.cancelButton) {
+            console.error('Order conversion elements not found');
+            return;
+        }
+
+        this.createButton.addEventListener('click', () => this.createDocument());
+        this.cancelButton.addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Shows the panel with the lines of a quote.
+     * @param {QuoteState} quote - Accepted quote to convert
+     */
+    open(quote) {
+        this.quote = quote;
+        this.lines.innerHTML = '';
+
+        const fragment = document.createDocumentFragment();
+        quote.products.forEach(product => fragment.appendChild(this.createLine(product)));
+        this.lines.appendChild(fragment);
+
+        this.panel.hidden = false;
+        this.panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Hides the panel.
+     */
+    close() {
+        this.quote = null;
+        this.panel.hidden = true;
+    }
+
+    /**
+     * Creates the row of a quote line, with its quantity input.
+     * @private
+     * @param {Object} product - Quote line
+     * @returns {HTMLTableRowElement} The row
+     */
+    createLine(product) {
+        const row = document.createElement('tr');
+
+        const name = document.createElement('td');
+        name.textContent = product.nombre;
+
+        const quoted = document.createElement('td');
+        quoted.textContent = product.cantidad;
+
+        const quantity = document.createElement('td');
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.max = String(product.cantidad);
+        input.step = '1';
+        input.value = product.cantidad;
+        input.dataset.id = product.id;
+        input.setAttribute('aria-label', `Cantidad de ${product.nombre}`);
+        quantity.appendChild(input);
+
+        row.append(name, quoted, quantity);
+        return row;
+    }
+
+    /**
+     * Reads the adjusted quantities. Each one must be a whole number between
+     * 0 and the quoted quantity, and at least one must be above 0.
+     * @private
+     * @returns {?Object.<string, number>} Quantity of each product by ID, or null if invalid
+     */
+    getQuantities() {
+        const quantities = {};
+
+        for (const input of this.lines.querySelectorAll('input[data-id]')) {
+            const quantity = Number(input.value);
+            const quoted = Number(input.max);
+            if (input.value === '' || !Number.isInteger(quantity) || quantity < 0 || quantity > quoted) {
+                Validations.notyf.error(`La cantidad debe estar entre 0 y ${quoted}.`);
+                input.focus();
+                return null;
+            }
+            quantities[input.dataset.id] = quantity;
+        }
+
+        if (!Object.values(quantities).some(quantity => quantity > 0)) {
+            Validations.notyf.error('Incluya al menos un producto en el documento.');
+            return null;
+        }
+        return quantities;
+    }
+
+    /**
+     * Creates the document from the quote and hands it over.
+     * @private
+     */
+    createDocument() {
+        if (!this.quote) return;
+
+        const quantities = this.getQuantities();
+        if (!quantities) return;
+
+        const order = this.quote.createOrder(this.typeSelect.value, quantities);
+        this.close();
+        this.onCreate(order);
+    }
+}
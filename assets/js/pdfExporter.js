@@ -0,0 +1,615 @@
+import { QuoteUtils } from './utils.js';
+import { DOCUMENT_TYPES } from './constants.js';
+
+/**
+ * Supported paper sizes, in millimeters.
+ * @constant {Object.<string, {label: string, width: number, height: number}>}
+ */
+export const PAPER_SIZES = {
+    a4: { label: 'A4', width: 210, height: 297 },
+    letter: { label: 'Carta', width: 215.9, height: 279.4 }
+};
+
+const MARGIN = 15;
+const LINE_HEIGHT = 5;
+const CELL_PADDING = 2;
+const CARRIED_ROW_HEIGHT = 7;
+const TOTAL_ROW_HEIGHT = 7;
+const GRAND_TOTAL_HEIGHT = 9;
+const COLORS = {
+    text: [33, 37, 41],
+    muted: [108, 117, 125],
+    border: [222, 226, 230],
+    header: [46, 39, 37],
+    light: [248, 249, 250]
+};
+
+/**
+ * Converts a hex color (#rrggbb) into RGB components.
+ * @param {string} color - Hex color
+ * @returns {?number[]} Red, green and blue, or null if the color is not valid
+ */
+const parseColor = (color) => {
+    const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+    return match ? match.slice(1).map(value => parseInt(value, 16)) : null;
+};
+
+/**
+ * Builds vector PDF documents (selectable text, embedded logo) from a quote state.
+ * Long quotes continue on new pages that repeat the company header and the
+ * column headings, with the amount carried forward at the foot of each page
+ * and at the top of the next one; totals and observations stay together on
+ * the last page, and every page is numbered.
+ * Relies on the jsPDF library loaded globally as `window.jspdf`.
+ */
+export class QuotePdfExporter {
+    /**
+     * Creates a new exporter.
+     * @param {Object} [options={}] - Export options
+     * @param {string} [options.paperSize='a4'] - Key of {@link PAPER_SIZES}
+     */
+    constructor({ paperSize = 'a4' } = {}) {
+        if (!window.jspdf?.jsPDF) {
+            throw new Error('jsPDF library is not loaded');
+        }
+        this.paper = PAPER_SIZES[paperSize] || PAPER_SIZES.a4;
+    }
+
+    /**
+     * Builds the PDF document for a quote.
+     * @param {QuoteState} state - Quote to export
+     * @param {Object} details - Document details that are not part of the state
+     * @param {Object} details.company - Company profile (see {@link COMPANY})
+     * @param {string[]} details.observations - Observation lines
+     * @param {?string} [details.logo] - Logo as a PNG data URL
+     * @returns {jsPDF} The document
+     */
+    build(state, { company, observations, logo = null }) {
+        const { jsPDF } = window.jspdf;
+        this.doc = new jsPDF({
+            unit: 'mm',
+            format: [this.paper.width, this.paper.height]
+        });
+        this.contentWidth = this.paper.width - MARGIN * 2;
+        this.columns = this.getColumns();
+        this.y = MARGIN;
+        this.company = company;
+        this.logo = logo;
+        this.brand = parseColor(company.color) || COLORS.header;
+        this.currency = state.currency.code;
+        this.carried = 0;
+
+        this.drawCompanyHeader(company, logo);
+        this.drawQuoteInfo(state);
+        this.drawTableHeader();
+        if (state.groupByCategory) {
+            state.getCategoryGroups().forEach(group => {
+                const label = QuoteUtils.getCategoryLabel(group.categoria);
+                this.drawCategoryRow(label);
+                group.products.forEach(product => {
+                    this.drawProductRow(product, state.getLineAmounts(product), state.isExempt(product));
+                });
+                this.drawCategorySubtotal(label, group.subtotal);
+            });
+        } else {
+            state.products.forEach(product => {
+                this.drawProductRow(product, state.getLineAmounts(product), state.isExempt(product));
+            });
+        }
+        const totals = state.getTotals();
+        this.ensureTableSpace(this.getTotalsHeight(totals) + this.getObservationsHeight(observations) +
+            this.getFooterHeight(company.footer));
+        this.drawTotals(totals, state.tax, state.discount);
+        this.drawObservations(observations);
+        this.drawFooter(company.footer);
+        this.drawPageNumbers(state.getQuoteNumber());
+
+        return this.doc;
+    }
+
+    /**
+     * Builds the document and downloads it.
+     * @param {QuoteState} state - Quote to export
+     * @param {Object} details - See {@link QuotePdfExporter#build}
+     * @param {string} fileName - Name of the downloaded file
+     */
+    export(state, details, fileName) {
+        this.build(state, details).save(fileName);
+    }
+
+    /**
+     * Computes the x position and width of each table column.
+     * @private
+     * @returns {Object[]} Column definitions
+     */
+    getColumns() {
+        const widths = { cantidad: 18, precio: 30, descuento: 34, subtotal: 32 };
+        widths.nombre = this.contentWidth - widths.cantidad - widths.precio - widths.descuento - widths.subtotal;
+
+        const definitions = [
+            { key: 'cantidad', title: 'Cantidad', align: 'center' },
+            { key: 'nombre', title: 'Producto', align: 'left' },
+            { key: 'precio', title: 'Precio unitario', align: 'right' },
+            { key: 'descuento', title: 'Descuento', align: 'right' },
+            { key: 'subtotal', title: 'Subtotal', align: 'right' }
+        ];
+
+        let x = MARGIN;
+        return definitions.map(column => {
+            const definition = { ...column, x, width: widths[column.key] };
+            x += definition.width;
+            return definition;
+        });
+    }
+
+    /**
+     * Draws the logo, company name, address and contact details.
+     * @private
+     * @param {Object} company - Company profile
+     * @param {?string} logo - Logo as a PNG data URL
+     */
+    drawCompanyHeader(company, logo) {
+        const doc = this.doc;
+        const logoSize = 25;
+        let textX = MARGIN;
+
+        doc.setFillColor(...COLORS.light);
+        doc.rect(MARGIN, this.y, this.contentWidth, logoSize + 6, 'F');
+
+        if (logo) {
+            // Fits the logo in the square keeping its proportions, centered vertically
+            const { width, height } = doc.getImageProperties(logo);
+            const scale = logoSize / Math.max(width, height);
+            doc.addImage(logo, 'PNG', MARGIN + 3, this.y + 3 + (logoSize - height * scale) / 2,
+                width * scale, height * scale);
+            textX = MARGIN + logoSize + 8;
+        }
+
+        const textWidth = this.contentWidth - (textX - MARGIN) - 3;
+        doc.setTextColor(...this.brand);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(16);
+        doc.text(company.name, textX, this.y + 12);
+
+        doc.setTextColor(...COLORS.text);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        const lines = [
+            company.address && `Dirección: ${company.address}`,
+            QuoteUtils.getCompanyContact(company)
+        ].filter(Boolean).flatMap(line => doc.splitTextToSize(line, textWidth));
+        doc.text(lines, textX, this.y + 18);
+
+        this.y += logoSize + 12;
+    }
+
+    /**
+     * Draws the document number and reference (see
+     * {@link QuoteUtils.getDocumentReference}), the client and its details,
+     * and the issue date.
+     * @private
+     * @param {QuoteState} state - Quote being exported
+     */
+    drawQuoteInfo(state) {
+        const doc = this.doc;
+        const half = this.contentWidth / 2;
+        const rowHeight = 8;
+        const rows = [
+            [[DOCUMENT_TYPES[state.metadata.documentType].numberLabel, state.getQuoteNumber()], QuoteUtils.getDocumentReference(state)],
+            [['Nombre del Cliente', state.getClientName()], ['Fecha', QuoteUtils.formatDate(state.metadata.issueDate)]]
+        ];
+        const { nit, address, phone, email } = state.client;
+        if (nit || address) {
+            rows.push([['NIT', nit], ['Dirección', address]]);
+        }
+        if (phone || email) {
+            rows.push([['Teléfono', phone], ['Correo', email]]);
+        }
+
+        doc.setFontSize(10);
+        doc.setDrawColor(...COLORS.border);
+        rows.forEach(row => {
+            row.forEach(([label, value], i) => {
+                if (!label) return;
+                const x = MARGIN + half * i;
+                doc.rect(x, this.y, half, rowHeight);
+                doc.setFont('helvetica', 'bold');
+                doc.text(label, x + CELL_PADDING, this.y + 5.5);
+                doc.setFont('helvetica', 'normal');
+                doc.text(String(value), x + 45, this.y + 5.5, { maxWidth: half - 45 - CELL_PADDING });
+            });
+            this.y += rowHeight;
+        });
+
+        this.y += 4;
+    }
+
+    /**
+     * Draws the table column headings.
+     * @private
+     */
+    drawTableHeader() {
+        const doc = this.doc;
+        const height = 8;
+
+        doc.setFillColor(...this.brand);
+        doc.rect(MARGIN, this.y, this.contentWidth, height, 'F');
+        doc.setTextColor(255, 255, 255);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(9);
+
+        this.columns.forEach(column => {
+            doc.text(column.title.toUpperCase(), this.getTextX(column), this.y + 5.5, { align: column.align });
+        });
+
+        doc.setTextColor(...COLORS.text);
+        this.y += height;
+    }
+
+    /**
+     * Draws a product row, starting a new page when it does not fit.
+     * @private
+     * @param {Object} product - Product to draw
+     * @param {{discount: number, net: number}} amounts - Line amounts
+     * @param {boolean} exempt - Whether the product carries no IVA
+     */
+    drawProductRow(product, { discount, net }, exempt) {
+        const doc = this.doc;
+        const values = {
+            cantidad: String(product.cantidad),
+            nombre: exempt ? `${product.nombre} (EXENTO)` : product.nombre,
+            precio: QuoteUtils.formatCurrency(product.precio, this.currency),
+            descuento: QuoteUtils.describeDiscount(product.descuento, discount, this.currency),
+            subtotal: QuoteUtils.formatCurrency(net, this.currency)
+        };
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        const wrapped = {
+            nombre: doc.splitTextToSize(values.nombre, this.getColumn('nombre').width - CELL_PADDING * 2),
+            descuento: doc.splitTextToSize(values.descuento, this.getColumn('descuento').width - CELL_PADDING * 2)
+        };
+        const lineCount = Math.max(wrapped.nombre.length, wrapped.descuento.length, 1);
+        const height = lineCount * LINE_HEIGHT + CELL_PADDING * 2;
+
+        this.ensureTableSpace(height);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+
+        doc.setDrawColor(...COLORS.border);
+        this.columns.forEach(column => {
+            doc.rect(column.x, this.y, column.width, height);
+            const text = wrapped[column.key] || values[column.key];
+            doc.text(text, this.getTextX(column), this.y + CELL_PADDING + 3.5, { align: column.align });
+        });
+
+        this.y += height;
+        this.carried += net;
+    }
+
+    /**
+     * Draws the heading row of a category section. The heading is kept on the
+     * same page as the first product row of the section.
+     * @private
+     * @param {string} label - Category name
+     */
+    drawCategoryRow(label) {
+        const doc = this.doc;
+        const height = 7;
+
+        this.ensureTableSpace(height + LINE_HEIGHT + CELL_PADDING * 2);
+        doc.setFillColor(...COLORS.light);
+        doc.setDrawColor(...COLORS.border);
+        doc.rect(MARGIN, this.y, this.contentWidth, height, 'FD');
+        doc.setTextColor(...this.brand);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(9);
+        doc.text(label, MARGIN + CELL_PADDING, this.y + 5);
+
+        doc.setTextColor(...COLORS.text);
+        this.y += height;
+    }
+
+    /**
+     * Draws the subtotal row closing a category section.
+     * @private
+     * @param {string} label - Category name
+     * @param {number} subtotal - Sum of the net amounts of the category products
+     */
+    drawCategorySubtotal(label, subtotal) {
+        const doc = this.doc;
+        const height = 7;
+        const moneyColumn = this.getColumn('subtotal');
+
+        this.ensureTableSpace(height);
+        doc.setDrawColor(...COLORS.border);
+        doc.rect(MARGIN, this.y, this.contentWidth, height);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(9);
+        doc.text(`Subtotal ${label}:`, moneyColumn.x - CELL_PADDING, this.y + 5, { align: 'right' });
+        doc.text(QuoteUtils.formatCurrency(subtotal, this.currency), this.getTextX(moneyColumn), this.y + 5, { align: 'right' });
+
+        this.y += height;
+    }
+
+    /**
+     * Draws the discount, subtotal, IVA and total rows, and the total in words under them.
+     * @private
+     * @param {{discount: number, subtotal: number, tax: number, total: number}} totals - Quote totals
+     * @param {Object} tax - Tax configuration of the quote
+     * @param {?Object} globalDiscount - Discount applied to the whole quote
+     */
+    drawTotals({ discount, subtotal, tax: taxAmount, total }, tax, globalDiscount) {
+        const doc = this.doc;
+        const rowHeight = TOTAL_ROW_HEIGHT;
+        const totalHeight = GRAND_TOTAL_HEIGHT;
+        const moneyColumn = this.getColumn('subtotal');
+        const rows = [
+            ['Subtotal:', QuoteUtils.formatCurrency(subtotal, this.currency)],
+            [QuoteUtils.getTaxLabel(tax), QuoteUtils.formatCurrency(taxAmount, this.currency)]
+        ];
+        if (discount > 0) {
+            const label = globalDiscount?.type === 'percent' ? `Descuento (${globalDiscount.value}%):` : 'Descuento:';
+            rows.unshift([label, `-${QuoteUtils.formatCurrency(discount, this.currency)}`]);
+        }
+
+        const words = this.getTotalWordsLines(total);
+        this.ensureSpace(rowHeight * rows.length + totalHeight + words.length * LINE_HEIGHT);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+        rows.forEach(([label, amount]) => {
+            doc.text(label, moneyColumn.x - CELL_PADDING, this.y + 5, { align: 'right' });
+            doc.text(amount, this.getTextX(moneyColumn), this.y + 5, { align: 'right' });
+            this.y += rowHeight;
+        });
+
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(11);
+        doc.setFillColor(...COLORS.light);
+        doc.setDrawColor(...COLORS.border);
+        doc.rect(MARGIN, this.y, this.contentWidth, totalHeight, 'FD');
+        doc.text('Total:', moneyColumn.x - CELL_PADDING, this.y + 6, { align: 'right' });
+        doc.text(QuoteUtils.formatCurrency(total, this.currency), this.getTextX(moneyColumn), this.y + 6, { align: 'right' });
+        this.y += totalHeight;
+
+        doc.setFontSize(9);
+        doc.text(words, MARGIN + CELL_PADDING, this.y + 5);
+        doc.setFont('helvetica', 'normal');
+        this.y += words.length * LINE_HEIGHT + 6;
+    }
+
+    /**
+     * Wraps the total in words to the page width.
+     * @private
+     * @param {number} total - Grand total of the quote
+     * @returns {string[]} Wrapped lines
+     */
+    getTotalWordsLines(total) {
+        this.doc.setFontSize(9);
+        return this.doc.splitTextToSize(`SON: ${QuoteUtils.amountToWords(total, this.currency)}`,
+            this.contentWidth - CELL_PADDING * 2);
+    }
+
+    /**
+     * Gets the height of the discount, subtotal, IVA and total rows and of the total in words.
+     * @private
+     * @param {{discount: number, total: number}} totals - Quote totals
+     * @returns {number} Height, in millimeters
+     */
+    getTotalsHeight({ discount, total }) {
+        return TOTAL_ROW_HEIGHT * (discount > 0 ? 3 : 2) + GRAND_TOTAL_HEIGHT +
+            this.getTotalWordsLines(total).length * LINE_HEIGHT + 6;
+    }
+
+    /**
+     * Wraps the observation lines to the width of the observations block.
+     * @private
+     * @param {string[]} observations - Observation lines
+     * @returns {string[]} Wrapped lines
+     */
+    getObservationLines(observations) {
+        this.doc.setFontSize(9);
+        return observations.flatMap(line => this.doc.splitTextToSize(`* ${line}`, this.contentWidth - 40));
+    }
+
+    /**
+     * Gets the height of the observations block.
+     * @private
+     * @param {string[]} observations - Observation lines
+     * @returns {number} Height, in millimeters
+     */
+    getObservationsHeight(observations) {
+        return Math.max(this.getObservationLines(observations).length * LINE_HEIGHT + CELL_PADDING * 2, 10);
+    }
+
+    /**
+     * Draws the observations block.
+     * @private
+     * @param {string[]} observations - Observation lines
+     */
+    drawObservations(observations) {
+        const doc = this.doc;
+        const lines = this.getObservationLines(observations);
+        const height = this.getObservationsHeight(observations);
+
+        this.ensureSpace(height);
+        doc.setDrawColor(...COLORS.border);
+        doc.rect(MARGIN, this.y, 40, height);
+        doc.rect(MARGIN + 40, this.y, this.contentWidth - 40, height);
+        doc.setFont('helvetica', 'bold');
+        doc.text('Observaciones', MARGIN + CELL_PADDING, this.y + 6);
+        doc.setFont('helvetica', 'normal');
+        doc.text(lines, MARGIN + 40 + CELL_PADDING, this.y + 6);
+
+        this.y += height;
+    }
+
+    /**
+     * Wraps the company footer text to the page width.
+     * @private
+     * @param {string} footer - Footer text of the company
+     * @returns {string[]} Wrapped lines
+     */
+    getFooterLines(footer) {
+        this.doc.setFontSize(9);
+        return footer ? this.doc.splitTextToSize(footer, this.contentWidth) : [];
+    }
+
+    /**
+     * Gets the height of the company footer text.
+     * @private
+     * @param {string} footer - Footer text of the company
+     * @returns {number} Height, in millimeters
+     */
+    getFooterHeight(footer) {
+        const lines = this.getFooterLines(footer);
+        return lines.length ? lines.length * LINE_HEIGHT + 4 : 0;
+    }
+
+    /**
+     * Draws the company footer text under the observations.
+     * @private
+     * @param {string} footer - Footer text of the company
+     */
+    drawFooter(footer) {
+        const lines = this.getFooterLines(footer);
+        if (!lines.length) return;
+
+        this.ensureSpace(this.getFooterHeight(footer));
+        this.doc.setTextColor(...COLORS.muted);
+        this.doc.text(lines, this.paper.width / 2, this.y + 6, { align: 'center' });
+        this.doc.setTextColor(...COLORS.text);
+        this.y += this.getFooterHeight(footer);
+    }
+
+    /**
+     * Starts a new page if the given height does not fit in the current one.
+     * @private
+     * @param {number} height - Height needed, in millimeters
+     */
+    ensureSpace(height) {
+        if (this.y + height > this.paper.height - MARGIN) {
+            this.doc.addPage();
+            this.y = MARGIN;
+        }
+    }
+
+    /**
+     * Starts a new page if a table row of the given height does not fit in
+     * the current one, leaving room for the amount carried forward. The new
+     * page repeats the company header and the column headings.
+     * @private
+     * @param {number} height - Height of the row, in millimeters
+     */
+    ensureTableSpace(height) {
+        if (this.y + height + CARRIED_ROW_HEIGHT <= this.paper.height - MARGIN) {
+            return;
+        }
+
+        this.drawCarriedRow('Van:');
+        this.doc.addPage();
+        this.y = MARGIN;
+        this.drawCompanyHeader(this.company, this.logo);
+        this.drawTableHeader();
+        this.drawCarriedRow('Vienen:');
+    }
+
+    /**
+     * Draws the sum of the line subtotals drawn so far, carried from one page to the next.
+     * @private
+     * @param {string} label - 'Van:' at the foot of a page, 'Vienen:' at the top of the next one
+     */
+    drawCarriedRow(label) {
+        const doc = this.doc;
+        const moneyColumn = this.getColumn('subtotal');
+
+        doc.setFillColor(...COLORS.light);
+        doc.setDrawColor(...COLORS.border);
+        doc.rect(MARGIN, this.y, this.contentWidth, CARRIED_ROW_HEIGHT, 'FD');
+        doc.setTextColor(...COLORS.text);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(9);
+        doc.text(label, moneyColumn.x - CELL_PADDING, this.y + 5, { align: 'right' });
+        doc.text(QuoteUtils.formatCurrency(this.carried, this.currency), this.getTextX(moneyColumn), this.y + 5, { align: 'right' });
+
+        this.y += CARRIED_ROW_HEIGHT;
+    }
+
+    /**
+     * Writes the document number and "Página X de Y" at the foot of every page.
+     * @private
+     * @param {string} number - Document number
+     */
+    drawPageNumbers(number) {
+        const doc = this.doc;
+        const pages = doc.getNumberOfPages();
+        const y = this.paper.height - MARGIN / 2;
+
+        for (let page = 1; page <= pages; page++) {
+            doc.setPage(page);
+            doc.setTextColor(...COLORS.muted);
+            doc.setFont('helvetica', 'normal');
+            doc.setFontSize(8);
+            doc.text(number, MARGIN, y);
+            doc.text(`Página ${page} de ${pages}`, this.paper.width - MARGIN, y, { align: 'right' });
+        }
+        doc.setTextColor(...COLORS.text);
+    }
+
+    /**
+     * Gets a column definition by its key.
+     * @private
+     * @param {string} key - Column key
+     * @returns {Object} Column definition
+     */
+    getColumn(key) {
+        return this.columns.find(column => column.key === key);
+    }
+
+    /**
+     * Gets the x coordinate for text in a column according to its alignment.
+     * @private
+     * @param {Object} column - Column definition
+     * @returns {number} X coordinate
+     */
+    getTextX(column) {
+        if (column.align === 'right') return column.x + column.width - CELL_PADDING;
+        if (column.align === 'center') return column.x + column.width / 2;
+        return column.x + CELL_PADDING;
+    }
+
+    /**
+     * Loads an image into a PNG data URL so it can be embedded.
+     * A new image is loaded instead of reusing the page one, which may be lazy-loaded.
+     * @static
+     * @param {string} src - URL of the image
+     * @returns {Promise<?string>} The data URL, or null if the image cannot be read
+     */
+    static imageToDataUrl(src) {
+        return new Promise(resolve => {
+            if (!src) {
+                resolve(null);
+                return;
+            }
+
+            const image = new Image();
+            image.onload = () => {
+                try {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = image.naturalWidth;
+                    canvas.height = image.naturalHeight;
+                    canvas.getContext('2d').drawImage(image, 0, 0);
+                    resolve(canvas.toDataURL('image/png'));
+                } catch (error) {
+                    console.warn('Logo could not be embedded in the PDF:', error);
+                    resolve(null);
+                }
+            };
+            image.onerror = () => {
+                console.warn(`Logo could not be loaded: ${src}`);
+                resolve(null);
+            };
+            image.src = src;
+        });
+    }
+}
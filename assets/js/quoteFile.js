@@ -0,0 +1,382 @@
+import { QuoteState } from './state.js';
+import { QuoteUtils } from './utils.js';
+import { QUOTE_STATUS, DOCUMENT_TYPES, CURRENCIES } from './constants.js';
+
+/**
+ * Identifier of the quote file format, stored in every exported file.
+ * @constant {string}
+ */
+export const QUOTE_FILE_FORMAT = 'cotishama-quote';
+
+/**
+ * Current version of the quote file format. Files of a later version are rejected.
+ * @constant {number}
+ */
+export const QUOTE_FILE_VERSION = 1;
+
+/**
+ * Columns of the CSV export of the quote lines. Amounts are in the currency of the quote.
+ * @constant {Array<[string, function(Object, Object, QuoteState): *]>}
+ */
+const CSV_COLUMNS = [
+    ['Código', product => product.sku],
+    ['Producto', product => product.nombre],
+    ['Unidad', product => product.unidad],
+    ['Categoría', product => product.categoria ? QuoteUtils.getCategoryLabel(product.categoria) : ''],
+    ['Cantidad', product => product.cantidad],
+    ['Precio unitario', product => product.precio.toFixed(2)],
+    ['Descuento', (product, amounts) => amounts.discount.toFixed(2)],
+    ['Subtotal', (product, amounts) => amounts.net.toFixed(2)],
+    ['Exento', product => product.exento ? 'SI' : 'NO'],
+    ['Moneda', (product, amounts, state) => state.currency.code]
+];
+
+/**
+ * A quote file (version 1), as downloaded by {@link QuoteFile.toJSON}:
+ *
+ * ```json
+ * {
+ *   "format": "cotishama-quote",
+ *   "version": 1,
+ *   "exportedAt": "2026-10-18T15:30:00.000Z",
+ *   "quote": {
+ *     "id": "quote_…",
+ *     "number": "COT-2026-00042",
+ *     "documentType": "cotizacion",
+ *     "source": null,
+ *     "status": "enviada",
+ *     "issueDate": "2026-10-18",
+ *     "validityDays": 7,
+ *     "deliveryDate": null,
+ *     "companyId": "company_…",
+ *     "client": { "name": "…", "nit": "CF", "address": "", "phone": "", "email": "", "notes": "" },
+ *     "tax": { "mode": "included", "rate": 0.12, "clientExempt": false },
+ *     "discount": { "type": "percent", "value": 5 },
+ *     "groupByCategory": false,
+ *     "currency": { "code": "GTQ", "rate": 1, "rateDate": null },
+ *     "observations": ["Precios sujetos a cambios sin previo aviso.", "Esta cotización es válida por {validez}."],
+ *     "products": [
+ *       { "sku": "HM-001", "nombre": "MARTILLO DE UÑA", "unidad": "UNIDAD", "categoria": "herramientasManuales",
+ *         "cantidad": 2, "precio": 65, "descuento": null, "exento": false }
+ *     ],
+ *     "totals": { "lines": 130, "discount": 6.5, "subtotal": 110.27, "tax": 13.23, "total": 123.5, "exempt": 0 },
+ *     "totalInWords": "CIENTO VEINTITRÉS QUETZALES CON 50/100"
+ *   }
+ * }
+ * ```
+ *
+ * Only `format`, `version`, `quote` and `quote.products` are required; other
+ * missing fields take their defaults. `totals` and `totalInWords` are
+ * informative: they are recalculated when the file is imported. Discounts
+ * are `null` or `{ type: 'percent' | 'amount', value }`. Prices and amounts
+ * are in the `currency` of the quote, whose `rate` is the amount of the base
+ * currency (GTQ) per unit, effective from `rateDate`. Observations keep their
+ * placeholders (see {@link QUOTE_OBSERVATIONS}). `companyId` is the company
+ * profile the quote is issued by, or `null` for the first profile.
+ * @typedef {Object} QuoteFileData
+ */
+
+/**
+ * Static class converting quotes to and from downloadable files: a versioned
+ * JSON document that can be loaded back into the editor, and a CSV of the lines.
+ */
+export class QuoteFile {
+    /**
+     * Builds the JSON file of a quote.
+     * @static
+     * @param {QuoteState} state - Quote to export
+     * @returns {QuoteFileData} File contents
+     */
+    static toJSON(state) {
+        const { products, client, tax, discount, groupByCategory, currency, observations, metadata, status, totals } = state.getSnapshot();
+        const { name, nit, address, phone, email, notes } = client;
+
+        return {
+            format: QUOTE_FILE_FORMAT,
+            version: QUOTE_FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            quote: {
+                id: state.id,
+                number: metadata.number || '',
+                documentType: metadata.documentType,
+                source: metadata.source,
+                status,
+                issueDate: QuoteUtils.toDateInputValue(metadata.issueDate),
+                validityDays: metadata.validityDays,
+                deliveryDate: metadata.deliveryDate ? QuoteUtils.toDateInputValue(metadata.deliveryDate) : null,
+                companyId: metadata.companyId,
+                client: { name, nit, address, phone, email, notes },
+                tax,
+                discount,
+                groupByCategory,
+                currency,
+                observations,
+                products: products.map(product => ({
+                    sku: product.sku ?? null,
+                    nombre: product.nombre,
+                    unidad: product.unidad ?? null,
+                    categoria: product.categoria ?? null,
+                    cantidad: product.cantidad,
+                    precio: product.precio,
+                    descuento: product.descuento ?? null,
+                    exento: Boolean(product.exento)
+                })),
+                totals,
+                totalInWords: QuoteUtils.amountToWords(totals.total, currency.code)
+            }
+        };
+    }
+
+    /**
+     * Builds the CSV of the quote lines, with the amounts after line discounts.
+     * @static
+     * @param {QuoteState} state - Quote to export
+     * @returns {string} CSV text
+     */
+    static toCsv(state) {
+        const rows = [
+            CSV_COLUMNS.map(([heading]) => heading),
+            ...state.products.map(product => {
+                const amounts = state.getLineAmounts(product);
+                return CSV_COLUMNS.map(([, read]) => read(product, amounts, state));
+            })
+        ];
+        return rows.map(row => row.map(value => this.escapeCsv(value)).join(',')).join('\r\n');
+    }
+
+    /**
+     * Quotes a CSV cell when it contains commas, quotes or line breaks.
+     * @static
+     * @private
+     * @param {*} value - Cell value
+     * @returns {string} CSV cell
+     */
+    static escapeCsv(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Reads a quote file. Lines with problems are left out of the quote and
+     * reported; invalid optional fields are reported and take their defaults.
+     * @static
+     * @param {string} text - Contents of the file
+     * @returns {{state: QuoteState, problems: string[]}} The quote and the problems found
+     * @throws {Error} If the file is not a quote file of a supported version (with a message for the user)
+     */
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('El archivo no es un JSON válido.');
+        }
+
+        if (!isObject(data) || data.format !== QUOTE_FILE_FORMAT) {
+            throw new Error('El archivo no es una cotización exportada desde Cotishama.');
+        }
+        if (!Number.isInteger(data.version) || data.version < 1 || data.version > QUOTE_FILE_VERSION) {
+            throw new Error(`La versión ${data.version} del archivo no es compatible.`);
+        }
+        if (!isObject(data.quote) || !Array.isArray(data.quote.products)) {
+            throw new Error('El archivo no contiene la cotización y sus líneas.');
+        }
+
+        const problems = [];
+        const quote = data.quote;
+        const check = (valid, value, problem) => {
+            if (value === undefined || valid) return value;
+            problems.push(problem);
+            return undefined;
+        };
+
+        const issueDate = QuoteUtils.parseDateInput(quote.issueDate);
+        check(issueDate, quote.issueDate, 'La fecha de emisión no es válida; se usa la fecha de hoy.');
+        const deliveryDate = quote.deliveryDate ? QuoteUtils.parseDateInput(quote.deliveryDate) : null;
+        check(deliveryDate, quote.deliveryDate || undefined, 'La fecha de entrega no es válida; se omite.');
+
+        const state = QuoteState.fromJSON({
+            id: check(typeof quote.id === 'string', quote.id, 'El identificador no es válido.'),
+            client: this.readClient(quote.client, problems),
+            tax: this.readTax(quote.tax, problems),
+            discount: check(quote.discount === null || isValidDiscount(quote.discount), quote.discount,
+                'El descuento global no es válido; se omite.') ?? null,
+            groupByCategory: check(typeof quote.groupByCategory === 'boolean', quote.groupByCategory,
+                'La agrupación por categoría no es válida.'),
+            currency: this.readCurrency(quote.currency, problems),
+            observations: check(Array.isArray(quote.observations) && quote.observations.every(line => typeof line === 'string'),
+                quote.observations, 'Las observaciones no son válidas; se usan las predeterminadas.'),
+            products: quote.products.map((product, index) => this.readProduct(product, index + 1, problems)).filter(Boolean),
+            metadata: withoutUndefined({
+                number: check(typeof quote.number === 'string', quote.number, 'El número no es válido.') || undefined,
+                documentType: check(Object.hasOwn(DOCUMENT_TYPES, quote.documentType), quote.documentType,
+                    'El tipo de documento no es válido; se importa como cotización.'),
+                source: check(quote.source === null || (isObject(quote.source) && typeof quote.source.number === 'string'),
+                    quote.source, 'La cotización de origen no es válida.'),
+                status: this.readStatus(quote.status, problems),
+                issueDate: issueDate ? issueDate.toISOString() : undefined,
+                deliveryDate: deliveryDate ? deliveryDate.toISOString() : undefined,
+                companyId: check(quote.companyId === null || typeof quote.companyId === 'string', quote.companyId,
+                    'El perfil de empresa no es válido; se usa el primero de la lista.'),
+                validityDays: check(Number.isInteger(quote.validityDays) && quote.validityDays >= 1, quote.validityDays,
+                    'La validez debe ser un número entero de días; se usa la predeterminada.')
+            })
+        });
+
+        return { state, problems };
+    }
+
+    /**
+     * Reads the client of a quote file.
+     * @static
+     * @private
+     * @param {*} client - Client in the file
+     * @param {string[]} problems - Problems found so far
+     * @returns {Object} Client fields
+     */
+    static readClient(client, problems) {
+        if (client === undefined) return {};
+        if (!isObject(client)) {
+            problems.push('Los datos del cliente no son válidos; se omiten.');
+            return {};
+        }
+
+        const fields = {};
+        ['name', 'nit', 'address', 'phone', 'email', 'notes'].forEach(field => {
+            if (client[field] === undefined) return;
+            if (typeof client[field] === 'string') {
+                fields[field] = client[field];
+            } else {
+                problems.push(`El campo "${field}" del cliente no es válido; se omite.`);
+            }
+        });
+        return fields;
+    }
+
+    /**
+     * Reads the tax configuration of a quote file.
+     * @static
+     * @private
+     * @param {*} tax - Tax configuration in the file
+     * @param {string[]} problems - Problems found so far
+     * @returns {Object} Tax fields
+     */
+    static readTax(tax, problems) {
+        if (tax === undefined) return {};
+        if (!isObject(tax) ||
+            (tax.mode !== undefined && !['included', 'added'].includes(tax.mode)) ||
+            (tax.rate !== undefined && !(typeof tax.rate === 'number' && tax.rate >= 0 && tax.rate <= 1)) ||
+            (tax.clientExempt !== undefined && typeof tax.clientExempt !== 'boolean')) {
+            problems.push('La configuración del IVA no es válida; se usa la predeterminada.');
+            return {};
+        }
+        return tax;
+    }
+
+    /**
+     * Reads the currency of a quote file.
+     * @static
+     * @private
+     * @param {*} currency - Currency in the file
+     * @param {string[]} problems - Problems found so far
+     * @returns {Object|undefined} Currency, or undefined for the base currency
+     */
+    static readCurrency(currency, problems) {
+        if (currency === undefined) return undefined;
+        if (!isObject(currency) || !Object.hasOwn(CURRENCIES, currency.code) ||
+            !(typeof currency.rate === 'number' && currency.rate > 0) ||
+            !(currency.rateDate === null || QuoteUtils.parseDateInput(currency.rateDate))) {
+            problems.push('La moneda no es válida; los precios del archivo se importan en quetzales.');
+            return undefined;
+        }
+        return currency;
+    }
+
+    /**
+     * Reads the status of a quote file. An expired quote is imported as sent,
+     * so that it expires again unless its validity is extended.
+     * @static
+     * @private
+     * @param {*} status - Status in the file
+     * @param {string[]} problems - Problems found so far
+     * @returns {string|undefined} Status, or undefined for the default
+     */
+    static readStatus(status, problems) {
+        if (status === undefined) return undefined;
+        if (status === QUOTE_STATUS.EXPIRED) return QUOTE_STATUS.SENT;
+        if (Object.values(QUOTE_STATUS).includes(status)) return status;
+
+        problems.push(`El estado "${status}" no es válido; se importa como borrador.`);
+        return undefined;
+    }
+
+    /**
+     * Reads a line of a quote file.
+     * @static
+     * @private
+     * @param {*} product - Line in the file
+     * @param {number} line - Line number, from 1
+     * @param {string[]} problems - Problems found so far
+     * @returns {?Object} The product, or null if the line has problems
+     */
+    static readProduct(product, line, problems) {
+        const errors = [];
+        if (!isObject(product)) {
+            errors.push('no es un producto');
+        } else {
+            if (typeof product.nombre !== 'string' || !product.nombre.trim()) errors.push('falta el nombre');
+            if (!Number.isInteger(product.cantidad) || product.cantidad < 1) errors.push('la cantidad debe ser un número entero mayor que 0');
+            if (typeof product.precio !== 'number' || !(product.precio > 0)) errors.push('el precio debe ser un número mayor que 0');
+            if (product.descuento != null && !isValidDiscount(product.descuento)) errors.push('el descuento no es válido');
+            if (product.exento !== undefined && typeof product.exento !== 'boolean') errors.push('"exento" debe ser verdadero o falso');
+            ['sku', 'unidad', 'categoria'].forEach(field => {
+                if (product[field] != null && typeof product[field] !== 'string') errors.push(`"${field}" debe ser texto`);
+            });
+        }
+
+        if (errors.length) {
+            problems.push(`Línea ${line}: ${errors.join(', ')}.`);
+            return null;
+        }
+
+        return {
+            sku: product.sku ?? null,
+            nombre: product.nombre.trim().toUpperCase(),
+            unidad: product.unidad ?? null,
+            categoria: product.categoria ?? null,
+            cantidad: product.cantidad,
+            precio: product.precio,
+            descuento: product.descuento ?? null,
+            exento: Boolean(product.exento)
+        };
+    }
+}
+
+/**
+ * Checks whether a value is a plain object.
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects that are not arrays or null
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Removes the fields without a value, so that they take their defaults.
+ * @param {Object} object - Object to clean
+ * @returns {Object} Copy of the object without undefined fields
+ */
+function withoutUndefined(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Checks whether a value is a valid discount.
+ * @param {*} discount - Value to check
+ * @returns {boolean} True for `{ type: 'percent', value: 0-100 }` or `{ type: 'amount', value: >= 0 }`
+ */
+function isValidDiscount(discount) {
+    return isObject(discount) &&
+        typeof discount.value === 'number' && discount.value >= 0 &&
+        (discount.type === 'amount' || (discount.type === 'percent' && discount.value <= 100));
+}
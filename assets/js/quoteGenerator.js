@@ -3,12 +3,35 @@ import { DOMElements } from './dom.js';
 import { QuoteUtils } from './utils.js';
 import { Validations } from './validations.js';
 import { ProductAutocomplete } from './autocomplete.js';
-import { STYLE } from './constants.js';
+import { QuoteStorage, ClientStorage, CatalogStorage, CompanyStorage, ExchangeRateStorage, TemplateStorage } from './storage.js';
+import { QuoteHistory } from './history.js';
+import { QuoteTableView } from './quoteTable.js';
+import { ClientDirectory } from './clients.js';
+import { CompanyProfiles } from './companies.js';
+import { ExchangeRateTable } from './exchangeRates.js';
+import { ObservationEditor } from './observations.js';
+import { OrderConversion } from './orders.js';
+import { CatalogImportPanel } from './catalogImport.js';
+import { productList } from './data/productList.js';
+import { QuoteFile } from './quoteFile.js';
+import { QuotePdfExporter, PAPER_SIZES } from './pdfExporter.js';
+import { QuoteImageExporter } from './imageExporter.js';
+import { Settings } from './settings.js';
+import { QuoteNumbering } from './numbering.js';
+import { STORAGE_KEYS, QUOTE_STATUS, DOCUMENT_TYPES, STATE_EVENTS, CURRENCIES } from './constants.js';
+
+/**
+ * Whether an element is a field where text is typed, which handles its own undo.
+ * @param {EventTarget} element - Element to check
+ * @returns {boolean} True for text inputs, text areas, selects and editable content
+ */
+const isTextField = (element) => element instanceof HTMLElement && (element.isContentEditable ||
+    element.matches('textarea, select, input:not([type="checkbox"], [type="radio"], [type="button"], [type="file"])'));
 
 /**
  * Class responsible for generating and managing quotes.
  * Handles application logic and user interactions for creating
- * and downloading quotes as PNG files.
+ * and downloading quotes as PDF documents, PNG images, JSON or CSV files.
  */
 export class QuoteGenerator {
     /**
@@ -16,11 +39,41 @@ export class QuoteGenerator {
      * Sets up initial state, DOM elements, and event listeners.
      */
     constructor() {
-        this.state = new QuoteState();
         this.dom = new DOMElements();
-        this.currentDate = QuoteUtils.getCurrentDate();
+        this.storage = new QuoteStorage();
+        this.numberRequests = new WeakMap();
         this.initializeAutocomplete();
+        this.initializeTable();
+        this.initializeCatalogImport();
+        this.initializeHistory();
+        this.initializeClientDirectory();
+        this.initializeCompanyProfiles();
+        this.initializeExchangeRates();
+        this.initializeObservationEditor();
+        this.initializeOrderConversion();
         this.initializeEventListeners();
+        this.initializeTaxOptions();
+        this.initializeDiscountOptions();
+        this.initializeNumberingOptions();
+        this.initializeLifecycleOptions();
+        this.initializeCurrencyOptions();
+        this.initializePrintOptions();
+        this.setState(this.createState());
+        this.renderQuoteOptions();
+        this.restoreCurrentQuote();
+    }
+
+    /**
+     * Creates an empty quote with the tax, validity and company defaults chosen by the user.
+     * @private
+     * @returns {QuoteState} The new quote
+     */
+    createState() {
+        const state = new QuoteState();
+        state.setTax({ mode: Settings.get('taxMode'), rate: Settings.get('taxRate') });
+        state.setValidityDays(Settings.get('validityDays'));
+        state.setCompany(Settings.get('companyId'));
+        return state;
     }
 
     /**
@@ -29,7 +82,427 @@ export class QuoteGenerator {
      */
     initializeAutocomplete() {
         this.autocomplete = new ProductAutocomplete();
-        this.autocomplete.initializeAutocomplete('producto', 'sugerencias-productos');
+        this.autocomplete.initializeAutocomplete('producto', 'sugerencias-productos', 'categoria-producto');
+    }
+
+    /**
+     * Initializes the view of the quote products and totals
+     * @private
+     */
+    initializeTable() {
+        this.table = new QuoteTableView(this.dom, {
+            onRemove: (productId) => this.removeProduct(productId),
+            onEdit: () => this.saveQuote(),
+            authorizeDiscount: (discount, base) => this.authorizeDiscount(discount, base),
+            getCatalogFields: (nombre) => this.getCatalogFields(nombre)
+        });
+    }
+
+    /**
+     * Makes a quote the one being edited: the table follows its changes and
+     * the quote header, the client form and the undo buttons are refreshed
+     * whenever it changes.
+     * @private
+     * @param {QuoteState} state - Quote to edit
+     */
+    setState(state) {
+        if (this.unsubscribeState) this.unsubscribeState.forEach(unsubscribe => unsubscribe());
+        this.state = state;
+        this.unsubscribeState = [
+            state.on(STATE_EVENTS.CLIENT_CHANGED, ({ client }) => {
+                this.dom.get('client').value = client.name;
+                this.clients.render(client);
+            }),
+            state.on(STATE_EVENTS.CHANGE, () => this.renderQuoteHeader())
+        ];
+        this.table.setState(state);
+        this.dom.get('client').value = state.getClientName();
+        this.clients.render(state.client);
+        this.renderQuoteHeader();
+        this.renderPriceCurrency();
+    }
+
+    /**
+     * Initializes the product catalog import and loads the imported catalog, if any
+     * @private
+     */
+    initializeCatalogImport() {
+        this.catalogImport = new CatalogImportPanel(new CatalogStorage(), {
+            getCurrent: () => this.autocomplete.items,
+            onApply: (items) => this.autocomplete.setItems(items || productList)
+        });
+        this.catalogImport.load();
+    }
+
+    /**
+     * Initializes the saved quotes history panel
+     * @private
+     */
+    initializeHistory() {
+        this.history = new QuoteHistory(this.storage, {
+            onOpen: (record) => this.loadQuote(record.data),
+            onDelete: (id) => {
+                if (id === this.state.id) {
+                    this.startNewQuote();
+                }
+            }
+        });
+        this.history.refresh();
+    }
+
+    /**
+     * Initializes the client directory and the client detail inputs
+     * @private
+     */
+    initializeClientDirectory() {
+        this.clients = new ClientDirectory(new ClientStorage(), {
+            onSelect: (client) => this.selectClient(client),
+            onEdit: (details) => {
+                this.state.setClientDetails(details);
+                this.saveQuote();
+            }
+        });
+        this.clients.load();
+    }
+
+    /**
+     * Initializes the company profiles and loads the saved ones. The profile
+     * chosen for a quote becomes the default for new quotes.
+     * @private
+     */
+    initializeCompanyProfiles() {
+        this.companies = new CompanyProfiles(new CompanyStorage(), {
+            onSelect: (companyId) => {
+                this.state.setCompany(companyId);
+                Settings.set({ companyId });
+                this.saveQuote();
+            },
+            onChange: () => {
+                this.companies.select(this.state.metadata.companyId);
+                this.renderCompanyInfo();
+            }
+        });
+        this.companies.load();
+    }
+
+    /**
+     * Initializes the exchange rate table and loads the saved rates
+     * @private
+     */
+    initializeExchangeRates() {
+        this.exchangeRates = new ExchangeRateTable(new ExchangeRateStorage());
+        this.exchangeRates.load();
+    }
+
+    /**
+     * Initializes the observations editor and loads the observation templates
+     * @private
+     */
+    initializeObservationEditor() {
+        this.observationEditor = new ObservationEditor(new TemplateStorage(), {
+            onChange: (lines) => {
+                this.state.setObservations(lines);
+                this.saveQuote();
+            }
+        });
+        this.observationEditor.load();
+    }
+
+    /**
+     * Initializes the conversion of accepted quotes into sales orders and proformas
+     * @private
+     */
+    initializeOrderConversion() {
+        this.conversion = new OrderConversion({ onCreate: (order) => this.openOrder(order) });
+        this.dom.get('convert').addEventListener('click', () => this.conversion.open(this.state));
+    }
+
+    /**
+     * Opens a sales order or proforma just created from the current quote
+     * and stores it, which gives it its number. The quote is left unchanged.
+     * @private
+     * @param {QuoteState} order - The new document
+     * @returns {Promise<void>}
+     */
+    async openOrder(order) {
+        this.loadQuote(order.toJSON());
+        await this.saveQuote();
+        Validations.notyf.success(`Documento creado a partir de la cotización ${order.metadata.source.number}.`);
+    }
+
+    /**
+     * Sets up the IVA mode, rate and client exemption controls.
+     * The chosen mode and rate are remembered as defaults for new quotes.
+     * @private
+     */
+    initializeTaxOptions() {
+        const modeSelect = this.dom.get('tax_mode');
+        const rateInput = this.dom.get('tax_rate');
+
+        modeSelect.addEventListener('change', () => {
+            this.state.setTax({ mode: modeSelect.value });
+            Settings.set({ taxMode: modeSelect.value });
+            this.saveQuote();
+        });
+
+        rateInput.addEventListener('change', () => {
+            const percent = parseFloat(rateInput.value);
+            if (isNaN(percent) || percent < 0 || percent > 100) {
+                Validations.notyf.error('La tasa de IVA debe estar entre 0 y 100.');
+                rateInput.value = QuoteUtils.toPercent(this.state.tax.rate);
+                return;
+            }
+            const rate = percent / 100;
+            this.state.setTax({ rate });
+            Settings.set({ taxRate: rate });
+            this.saveQuote();
+        });
+
+        this.dom.get('client_exempt').addEventListener('change', (e) => {
+            this.state.setTax({ clientExempt: e.target.checked });
+            this.saveQuote();
+        });
+    }
+
+    /**
+     * Sets up the global discount and maximum discount controls.
+     * @private
+     */
+    initializeDiscountOptions() {
+        const discountInput = this.dom.get('global_discount');
+        const maxInput = this.dom.get('max_discount');
+
+        discountInput.addEventListener('change', () => {
+            const discount = QuoteUtils.parseDiscount(discountInput.value);
+            const base = this.state.getTotals().lines;
+
+            if (!Validations.validateDiscount(discount, base) || !this.authorizeDiscount(discount, base)) {
+                discountInput.value = QuoteUtils.formatDiscount(this.state.discount, true);
+                return;
+            }
+            this.state.setDiscount(discount);
+            this.saveQuote();
+        });
+
+        maxInput.addEventListener('change', () => {
+            const percent = parseFloat(maxInput.value);
+            if (isNaN(percent) || percent < 0 || percent > 100) {
+                Validations.notyf.error('El descuento máximo debe estar entre 0 y 100.');
+                maxInput.value = Settings.get('maxDiscountPercent');
+                return;
+            }
+            Settings.set({ maxDiscountPercent: percent });
+        });
+    }
+
+    /**
+     * Sets up the quote number format and sequence reset controls.
+     * @private
+     */
+    initializeNumberingOptions() {
+        const formatInput = this.dom.get('number_format');
+        const resetSelect = this.dom.get('number_reset');
+
+        formatInput.addEventListener('change', () => {
+            const format = formatInput.value.trim();
+            if (!QuoteNumbering.isValidFormat(format)) {
+                Validations.notyf.error('El formato debe incluir el correlativo, por ejemplo {NNNNN}.');
+                formatInput.value = Settings.get('numberFormat');
+                return;
+            }
+            Settings.set({ numberFormat: format });
+        });
+
+        resetSelect.addEventListener('change', () => Settings.set({ numberReset: resetSelect.value }));
+    }
+
+    /**
+     * Sets up the currency of the quote. Choosing a currency converts the
+     * prices with the exchange rate effective on the issue date, which stays
+     * with the quote even if the rate table changes later.
+     * @private
+     */
+    initializeCurrencyOptions() {
+        const currencySelect = this.dom.get('currency');
+        Object.values(CURRENCIES).forEach(currency => currencySelect.appendChild(new Option(currency.label, currency.code)));
+
+        currencySelect.addEventListener('change', () => {
+            const code = currencySelect.value;
+            const rate = this.exchangeRates.getRate(code, this.state.metadata.issueDate);
+            if (!rate) {
+                Validations.notyf.error(`No hay tipo de cambio de ${code} vigente al ` +
+                    `${QuoteUtils.formatDate(this.state.metadata.issueDate)}. Agréguelo en Tipos de Cambio.`);
+                this.renderQuoteOptions();
+                return;
+            }
+            this.state.setCurrency({ code, rate: rate.rate, rateDate: rate.effectiveDate });
+            this.renderPriceCurrency();
+            this.renderQuoteOptions();
+            this.saveQuote();
+        });
+    }
+
+    /**
+     * Sets up printing at the paper size chosen for exports, which the
+     * browser takes from the `@page` rule of the print stylesheet.
+     * @private
+     */
+    initializePrintOptions() {
+        const paperSelect = this.dom.get('paper_size');
+        this.printStyle = document.head.appendChild(document.createElement('style'));
+
+        const setPageSize = () => {
+            const paper = PAPER_SIZES[paperSelect.value] || PAPER_SIZES.a4;
+            this.printStyle.textContent = `@page { size: ${paper.width}mm ${paper.height}mm; }`;
+        };
+        paperSelect.addEventListener('change', setPageSize);
+        setPageSize();
+    }
+
+    /**
+     * Sets up the issue date, validity, delivery date and status controls.
+     * The chosen validity is remembered as the default for new quotes.
+     * @private
+     */
+    initializeLifecycleOptions() {
+        const issueDateInput = this.dom.get('issue_date');
+        const validityInput = this.dom.get('validity_days');
+        const deliveryInput = this.dom.get('delivery_date');
+        const statusSelect = this.dom.get('quote_status');
+
+        issueDateInput.addEventListener('change', () => {
+            const date = QuoteUtils.parseDateInput(issueDateInput.value);
+            if (!date) {
+                Validations.notyf.error('La fecha de emisión no es válida.');
+                this.renderQuoteOptions();
+                return;
+            }
+            this.state.setIssueDate(date);
+            this.renderQuoteOptions();
+            this.saveQuote();
+        });
+
+        deliveryInput.addEventListener('change', () => {
+            const date = QuoteUtils.parseDateInput(deliveryInput.value);
+            if (deliveryInput.value && !date) {
+                Validations.notyf.error('La fecha de entrega no es válida.');
+                this.renderQuoteOptions();
+                return;
+            }
+            this.state.setDeliveryDate(date);
+            this.saveQuote();
+        });
+
+        validityInput.addEventListener('change', () => {
+            const days = Number(validityInput.value);
+            if (!Number.isInteger(days) || days < 1) {
+                Validations.notyf.error('La validez debe ser de al menos 1 día.');
+                this.renderQuoteOptions();
+                return;
+            }
+            this.state.setValidityDays(days);
+            Settings.set({ validityDays: days });
+            this.renderQuoteOptions();
+            this.saveQuote();
+        });
+
+        statusSelect.addEventListener('change', () => {
+            this.state.setStatus(statusSelect.value);
+            if (this.state.getStatus() === QUOTE_STATUS.EXPIRED) {
+                Validations.notyf.error('La cotización está vencida. Amplíe su validez o cambie la fecha de emisión.');
+            }
+            this.renderQuoteOptions();
+            this.saveQuote();
+        });
+    }
+
+    /**
+     * Assigns the next number of the persistent sequence to a quote that has none.
+     * Concurrent calls for the same quote share a single request, so a quote never
+     * consumes more than one number. Quotes keep the number they already have.
+     * Sales orders and proformas are numbered with the sequence of their type.
+     * The date parts and the reset period come from the issue date of the quote.
+     * @private
+     * @param {QuoteState} state - Quote to number
+     * @returns {Promise<void>}
+     */
+    assignQuoteNumber(state) {
+        if (state.getQuoteNumber()) {
+            return Promise.resolve();
+        }
+
+        if (!this.numberRequests.has(state)) {
+            const { documentType } = state.metadata;
+            const options = state.isQuote()
+                ? { format: Settings.get('numberFormat'), reset: Settings.get('numberReset') }
+                : { ...DOCUMENT_TYPES[documentType].numbering, sequence: documentType };
+            const request = QuoteNumbering.next(options, state.metadata.issueDate)
+                .then(number => {
+                    state.setQuoteNumber(number);
+                    if (state === this.state) this.renderQuoteNumber();
+                })
+                .catch(error => console.error('Error assigning quote number:', error))
+                .finally(() => this.numberRequests.delete(state));
+            this.numberRequests.set(state, request);
+        }
+        return this.numberRequests.get(state);
+    }
+
+    /**
+     * Checks a discount against the maximum a user may apply and asks for an
+     * override when it is exceeded. Overridden discounts are flagged as authorized.
+     * @private
+     * @param {?Object} discount - Parsed discount
+     * @param {number} base - Amount the discount applies to
+     * @returns {boolean} True if the discount may be applied
+     */
+    authorizeDiscount(discount, base) {
+        const max = Settings.get('maxDiscountPercent');
+        if (!discount || QuoteUtils.getDiscountPercent(discount, base) <= max) {
+            return true;
+        }
+
+        if (window.confirm(`El descuento supera el máximo permitido de ${max}%. ¿Autorizar de todas formas?`)) {
+            discount.authorized = true;
+            return true;
+        }
+
+        Validations.notyf.error(`El descuento no puede superar el ${max}% sin autorización.`);
+        return false;
+    }
+
+    /**
+     * Labels the price input with the currency of the current quote, in which prices are typed.
+     * @private
+     */
+    renderPriceCurrency() {
+        const currency = CURRENCIES[this.state.currency.code];
+        this.dom.get('price_symbol').textContent = currency.symbol;
+        this.dom.get('price_hint').textContent = `Ingrese el precio en ${currency.plural}`;
+    }
+
+    /**
+     * Sets the tax, discount and lifecycle controls from the current quote.
+     * @private
+     */
+    renderQuoteOptions() {
+        this.dom.get('tax_mode').value = this.state.tax.mode;
+        this.dom.get('tax_rate').value = QuoteUtils.toPercent(this.state.tax.rate);
+        this.dom.get('client_exempt').checked = this.state.tax.clientExempt;
+        this.dom.get('global_discount').value = QuoteUtils.formatDiscount(this.state.discount, true);
+        this.dom.get('max_discount').value = Settings.get('maxDiscountPercent');
+        this.dom.get('group_by_category').checked = this.state.groupByCategory;
+        this.dom.get('number_format').value = Settings.get('numberFormat');
+        this.dom.get('number_reset').value = Settings.get('numberReset');
+        this.dom.get('issue_date').value = QuoteUtils.toDateInputValue(this.state.metadata.issueDate);
+        this.dom.get('validity_days').value = this.state.metadata.validityDays;
+        const { deliveryDate } = this.state.metadata;
+        this.dom.get('delivery_date').value = deliveryDate ? QuoteUtils.toDateInputValue(deliveryDate) : '';
+        this.dom.get('quote_status').value = this.state.getStatus();
+        this.dom.get('currency').value = this.state.currency.code;
+        this.companies.select(this.state.metadata.companyId);
+        this.observationEditor.render(this.state.observations);
+        this.dom.get('convert').hidden = !this.state.isQuote() || this.state.getStatus() !== QUOTE_STATUS.ACCEPTED;
     }
 
     /**
@@ -38,7 +511,30 @@ export class QuoteGenerator {
      */
     initializeEventListeners() {
         this.dom.get('add').addEventListener('click', () => this.addProduct());
-        this.dom.get('generate').addEventListener('click', () => this.generateQuoteImage());
+        this.dom.get('generate').addEventListener('click', () => this.exportQuote());
+        this.dom.get('print').addEventListener('click', () => this.printQuote());
+        this.dom.get('new_quote').addEventListener('click', () => this.startNewQuote());
+        this.dom.get('import_quote').addEventListener('click', () => this.dom.get('import_file').click());
+        this.dom.get('import_file').addEventListener('change', () => this.importQuote());
+        this.dom.get('reset_suggestions').addEventListener('click', () => this.resetSuggestions());
+        this.dom.get('undo').addEventListener('click', () => this.undo());
+        this.dom.get('redo').addEventListener('click', () => this.redo());
+        document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+        this.dom.get('product').addEventListener('change', () => this.prefillFromCatalog());
+        this.dom.get('group_by_category').addEventListener('change', () => {
+            this.state.setGroupByCategory(this.dom.get('group_by_category').checked);
+            this.saveQuote();
+        });
+        this.dom.get('client').addEventListener('change', () => {
+            const name = this.dom.get('client').value;
+            const client = this.clients.find(name);
+            if (client) {
+                this.selectClient(client);
+                return;
+            }
+            this.state.setClient(name);
+            this.saveQuote();
+        });
         // Setear mayusculas a nombre del cliente y producto usando utils
         QuoteUtils.setUpperCase(this.dom.get('client'));
         QuoteUtils.setUpperCase(this.dom.get('product'));
@@ -54,119 +550,335 @@ export class QuoteGenerator {
             nombre: this.dom.get('product').value,
             cantidad: this.dom.get('quantity').value,
             precio: this.dom.get('price').value,
-            cliente: this.dom.get('client').value
+            cliente: this.dom.get('client').value,
+            exento: this.dom.get('product_exempt').checked,
+            descuento: QuoteUtils.parseDiscount(this.dom.get('discount').value)
         };
 
         if (!Validations.validateForm(product)) {
             return;
         }
 
-        this.state.setClient(product.cliente);
         product.cantidad = parseInt(product.cantidad);
         product.precio = parseFloat(product.precio);
 
+        const gross = product.cantidad * product.precio;
+        if (!Validations.validateDiscount(product.descuento, gross) ||
+            !this.authorizeDiscount(product.descuento, gross)) {
+            return;
+        }
+
+        this.state.setClient(product.cliente);
+        Object.assign(product, this.getCatalogFields(product.nombre));
+
         if (!this.state.addProduct(product)) {
             return;
         }
-        this.renderProducts();
+        this.autocomplete.recordUsage(product.nombre);
         this.clearInputs();
+        this.saveQuote();
     }
 
     /**
-     * Renders the current list of products in the quote table.
-     * Updates client name, date, and total amount.
+     * Uses a client of the directory in the quote, copying its details.
      * @private
+     * @param {Object} client - Client record (see {@link ClientStorage#saveClient})
      */
-    renderProducts() {
-        const productsTable = this.dom.get('products_table');
-        const clientNameElement = this.dom.get('client_name');
-        const dateElement = this.dom.get('date');
+    selectClient(client) {
+        const { id, name, nit, address, phone, email, notes } = client;
+        this.state.setClientDetails({ id, name, nit, address, phone, email, notes });
+        this.saveQuote();
+    }
 
-        clientNameElement.textContent = this.dom.get('client').value;
-        dateElement.textContent = this.currentDate;
-        productsTable.innerHTML = '';
+    /**
+     * Undoes the last change to the products or the client.
+     * @private
+     */
+    undo() {
+        if (this.state.undo()) this.saveQuote();
+    }
 
-        const total = this.state.getTotal();
-        this.state.products.forEach((product, index) => {
-            const subtotal = product.cantidad * product.precio;
-            const row = this.createProductRow(product, subtotal, index);
-            productsTable.appendChild(row);
-        });
+    /**
+     * Redoes the last undone change.
+     * @private
+     */
+    redo() {
+        if (this.state.redo()) this.saveQuote();
+    }
 
-        const MIN_ROWS = STYLE.MIN_ROWS;
-        const rowsToAdd = MIN_ROWS - this.state.products.length;
-        if (rowsToAdd > 0) {
-            for (let i = 0; i < rowsToAdd; i++) {
-                const emptyRow = document.createElement('tr');
-                emptyRow.classList.add('empty-row');
+    /**
+     * Undoes with Ctrl+Z and redoes with Ctrl+Shift+Z (Cmd on macOS).
+     * Text fields keep their own undo.
+     * @private
+     * @param {KeyboardEvent} e - The keydown event
+     */
+    handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z' || isTextField(e.target)) {
+            return;
+        }
+        e.preventDefault();
+        if (e.shiftKey) {
+            this.redo();
+        } else {
+            this.undo();
+        }
+    }
 
-                const emptyTd = document.createElement('td');
-                emptyTd.colSpan = 5;
-                emptyTd.innerHTML = '&nbsp;';
+    /**
+     * Enables the undo and redo buttons when there is something to undo or redo.
+     * @private
+     */
+    renderHistoryButtons() {
+        this.dom.get('undo').disabled = !this.state.canUndo();
+        this.dom.get('redo').disabled = !this.state.canRedo();
+    }
 
-                emptyRow.appendChild(emptyTd);
-                productsTable.appendChild(emptyRow);
+    /**
+     * Removes a product from the quote and shows a notification that undoes
+     * the removal when clicked, as long as nothing else changed since.
+     * @private
+     * @param {string} productId - ID of the product to remove
+     */
+    removeProduct(productId) {
+        if (!this.state.removeProduct(this.state.getProductIndex(productId))) return;
+
+        const state = this.state;
+        const change = state.getLastChange();
+        this.saveQuote();
+
+        const notification = Validations.notyf.open({
+            type: 'success',
+            message: 'Producto eliminado. <u>Deshacer</u>',
+            duration: 6000,
+            dismissible: true
+        });
+        notification.on('click', () => {
+            Validations.notyf.dismiss(notification);
+            if (this.state !== state || state.getLastChange() !== change) {
+                Validations.notyf.error('La cotización cambió; use el botón Deshacer.');
+                return;
             }
+            this.undo();
+        });
+    }
+
+    /**
+     * Forgets the products learned from previous quotes, after confirmation,
+     * so suggestions go back to their default order.
+     * @private
+     */
+    resetSuggestions() {
+        if (!window.confirm('¿Olvidar los productos más usados y volver al orden original de las sugerencias?')) {
+            return;
         }
-        this.dom.get('total').textContent = QuoteUtils.formatCurrency(total);
+        this.autocomplete.resetUsage();
+        Validations.notyf.success('Sugerencias reiniciadas.');
     }
 
+    /**
+     * Fills the unit price with the catalog price of the selected product,
+     * converted to the currency of the quote, and replaces a name typed
+     * without accents by the catalog name.
+     * @private
+     */
+    prefillFromCatalog() {
+        const item = this.autocomplete.findProduct(this.dom.get('product').value);
+        if (item) {
+            this.dom.get('product').value = item.nombre;
+            this.dom.get('price').value = this.state.fromBaseCurrency(item.precio).toFixed(2);
+        }
+    }
 
     /**
-     * Creates a table row for a product in the quote.
+     * Gets the catalog fields stored on a quote line for a product name.
+     * Catalog products take the catalog spelling of their name (with accents);
+     * products typed by hand that are not in the catalog get empty values.
      * @private
-     * @param {Object} product - The product to create a row for
-     * @param {number} subtotal - The subtotal for this product (quantity * price)
-     * @param {number} index - The index of the product in the products array
-     * @returns {HTMLTableRowElement} The created table row element
+     * @param {string} nombre - Product name
+     * @returns {{nombre: string, sku: ?string, unidad: ?string, categoria: ?string}} Catalog fields
      */
-    createProductRow(product, subtotal, index) {
-        const row = document.createElement('tr');
-        const cells = [
-            { text: product.cantidad },
-            { text: product.nombre },
-            { text: QuoteUtils.formatCurrency(product.precio), className: 'money-cell' },
-            { text: QuoteUtils.formatCurrency(subtotal), className: 'money-cell' },
-            {
-                element: this.createDeleteButton(() => {
-                    this.state.removeProduct(index);
-                    this.renderProducts();
-                })
+    getCatalogFields(nombre) {
+        const item = this.autocomplete.findProduct(nombre);
+        return {
+            nombre: item ? item.nombre : nombre,
+            sku: item ? item.sku : null,
+            unidad: item ? item.unidad : null,
+            categoria: item ? item.categoria : null
+        };
+    }
+
+    /**
+     * Persists the current quote locally and refreshes the history panel.
+     * Empty quotes (no client and no products) are not stored; the first time
+     * a quote is stored it receives its number.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async saveQuote() {
+        const state = this.state;
+        if (!state.hasProducts() && !state.getClientName().trim()) {
+            return;
+        }
+
+        try {
+            await this.assignQuoteNumber(state);
+            await this.storage.saveQuote(state);
+            if (state === this.state) {
+                localStorage.setItem(STORAGE_KEYS.CURRENT_QUOTE, state.id);
             }
-        ];
-        cells.forEach(cell => {
-            const td = document.createElement('td');
-            if (cell.text !== undefined) {
-                td.textContent = cell.text;
-                if (cell.className) td.classList.add(cell.className);
-            } else if (cell.element) {
-                td.appendChild(cell.element);
+            await this.history.refresh();
+        } catch (error) {
+            console.error('Error saving quote:', error);
+        }
+    }
+
+    /**
+     * Reopens the quote that was being edited before the page was reloaded.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async restoreCurrentQuote() {
+        const id = localStorage.getItem(STORAGE_KEYS.CURRENT_QUOTE);
+        if (!id) return;
+
+        try {
+            const record = await this.storage.getQuote(id);
+            if (record) {
+                this.loadQuote(record.data);
             }
-            row.appendChild(td);
-        });
-        return row;
+        } catch (error) {
+            console.error('Error restoring quote:', error);
+        }
     }
 
     /**
-     * Creates a delete button for a product row with a FontAwesome icon.
+     * Loads a serialized quote into the editor.
+     * @param {Object} data - Serialized quote (see {@link QuoteState#toJSON})
+     */
+    loadQuote(data) {
+        this.setState(QuoteState.fromJSON(data));
+        localStorage.setItem(STORAGE_KEYS.CURRENT_QUOTE, this.state.id);
+        this.conversion.close();
+        this.clearInputs();
+        this.renderQuoteOptions();
+    }
+
+    /**
+     * Discards the editor contents and starts an empty quote.
+     * The previous quote remains available in the history.
+     */
+    startNewQuote() {
+        this.setState(this.createState());
+        localStorage.removeItem(STORAGE_KEYS.CURRENT_QUOTE);
+        this.conversion.close();
+        this.clearInputs();
+        this.renderQuoteOptions();
+    }
+
+    /**
+     * Updates the quote header (company, number, dates and client), the
+     * observations and the undo buttons. The products and totals are kept up to date by
+     * the table view (see {@link QuoteTableView}).
      * @private
-     * @param {Function} onClick - The callback function to execute when the button is clicked
-     * @returns {HTMLButtonElement} The created button element
      */
-    createDeleteButton(onClick) {
-        const button = document.createElement('button');
-        button.setAttribute('type', 'button');
-        button.classList.add('btn-danger');
+    renderQuoteHeader() {
+        this.renderCompanyInfo();
+        this.dom.get('client_name').textContent = this.state.getClientName();
+        this.dom.get('date').textContent = QuoteUtils.formatDate(this.state.metadata.issueDate);
+        this.renderQuoteNumber();
+        this.renderObservations();
+        this.renderClientDetails();
+        this.renderHistoryButtons();
+    }
 
-        const icon = document.createElement('i');
-        icon.classList.add('fas', 'fa-trash');
-        button.appendChild(icon);
+    /**
+     * Shows the document number and its reference (expiry date or originating
+     * quote) in the quote header.
+     * @private
+     */
+    renderQuoteNumber() {
+        const [referenceLabel, reference] = QuoteUtils.getDocumentReference(this.state);
+        this.dom.get('number_label').textContent = DOCUMENT_TYPES[this.state.metadata.documentType].numberLabel;
+        this.dom.get('quote_number').textContent = this.state.getQuoteNumber();
+        this.dom.get('reference_label').textContent = referenceLabel;
+        this.dom.get('reference').textContent = reference;
+    }
+
+    /**
+     * Shows the client NIT, address, phone and email in the quote, hiding
+     * the rows whose details are all empty. Client notes are not printed.
+     * @private
+     */
+    renderClientDetails() {
+        const { nit, address, phone, email } = this.state.client;
+        this.dom.get('client_nit').textContent = nit;
+        this.dom.get('client_address').textContent = address;
+        this.dom.get('client_phone').textContent = phone;
+        this.dom.get('client_email').textContent = email;
+        this.dom.get('client_nit_row').hidden = !nit && !address;
+        this.dom.get('client_contact_row').hidden = !phone && !email;
+    }
+
+    /**
+     * Gets the company profile issuing the current quote.
+     * @private
+     * @returns {Object} Company profile (see {@link CompanyProfiles#getProfile})
+     */
+    getCompany() {
+        return this.companies.getProfile(this.state.metadata.companyId);
+    }
+
+    /**
+     * Fills the company header and footer of the quote preview and applies
+     * the brand color of the company.
+     * @private
+     */
+    renderCompanyInfo() {
+        const company = this.getCompany();
+        const capture = this.dom.get('capture');
+        const contact = QuoteUtils.getCompanyContact(company);
+        const logo = this.dom.get('logo');
 
-        button.addEventListener('click', onClick);
+        capture.querySelector('.company-name').textContent = company.name;
+        capture.querySelector('.company-address').textContent = company.address && `Dirección: ${company.address}`;
+        capture.querySelector('.company-contact').textContent = contact;
+        capture.querySelector('.company-contact').hidden = !contact;
+        if (company.logo && logo.getAttribute('src') !== company.logo) {
+            logo.src = company.logo;
+        }
+        capture.querySelector('.company-logo').hidden = !company.logo;
+        capture.querySelector('.company-footer p').textContent = company.footer;
+        capture.querySelector('.company-footer').hidden = !company.footer;
+        capture.style.setProperty('--brand', company.color || null);
+    }
+
+    /**
+     * Fills the observations of the quote preview.
+     * @private
+     */
+    renderObservations() {
+        const observations = this.dom.get('capture').querySelector('.observaciones-row p');
+        observations.innerHTML = '';
+        this.getObservations().forEach((line, index) => {
+            if (index > 0) observations.appendChild(document.createElement('br'));
+            observations.appendChild(document.createTextNode(`* ${line}`));
+        });
+    }
 
-        return button;
+    /**
+     * Gets the observation lines of the current quote with their placeholders
+     * resolved (see {@link QuoteUtils.resolveObservations}) and, for quotes in
+     * another currency, the exchange rate.
+     * @private
+     * @returns {string[]} Observation lines
+     */
+    getObservations() {
+        const lines = QuoteUtils.resolveObservations(this.state);
+        const exchangeRate = QuoteUtils.describeExchangeRate(this.state.currency);
+        return exchangeRate ? [...lines, exchangeRate] : lines;
     }
 
+
     /**
      * Clears all input fields in the product form.
      * @private
@@ -175,126 +887,245 @@ export class QuoteGenerator {
         ['product', 'quantity', 'price'].forEach(field => {
             this.dom.get(field).value = '';
         });
+        this.dom.get('discount').value = '';
+        this.dom.get('product_exempt').checked = false;
     }
 
     /**
-     * Generates a PNG image of the current quote.
-     * Temporarily hides delete buttons during capture for a cleaner image.
+     * Exports the current quote in the format selected by the user.
      * @private
-     * @async
-     * @throws {Error} When image generation fails
      * @returns {Promise<void>}
      */
-    async generateQuoteImage() {
-        if (!this.state.hasProducts()) {
-            // notify user
-            Validations.notyf.error('No hay productos en la cotización. Agrega al menos uno para continuar.');
-            console.warn('Cannot generate image: No products available');
-            return;
+    async exportQuote() {
+        const format = this.dom.get('export_format').value;
+        if (format === 'png') {
+            await this.generateQuoteImage();
+        } else if (format === 'json' || format === 'csv') {
+            await this.generateQuoteFile(format);
+        } else {
+            await this.generateQuotePdf();
         }
+    }
 
-        const table = this.dom.get('capture');
-        if (!table) {
-            throw new Error('Capture element not found');
+    /**
+     * Prints the quote preview with the print stylesheet, which leaves out the
+     * form and the edit controls, repeats the column headings on every page and
+     * keeps each line on a single page.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async printQuote() {
+        if (!Validations.validateHasProducts(this.state.products)) {
+            return;
         }
 
-        const deleteCells = table.querySelectorAll('td:nth-child(5)');
-        const originalDisplayValues = [];
+        // Finishes any cell being edited in place so that its value is printed
+        if (document.activeElement instanceof HTMLElement) {
+            document.activeElement.blur();
+        }
 
         try {
-            deleteCells.forEach((cell, index) => {
-                originalDisplayValues[index] = cell.style.display;
-                cell.style.display = 'none';
-            });
-            await new Promise(resolve => setTimeout(resolve, 0));
-
-            const canvas = await html2canvas(table, {
-                backgroundColor: '#ffffff',
-                scale: 2,
-                useCORS: true,
-                allowTaint: false,
-                logging: false,
-                removeContainer: true,
-                imageTimeout: 15000,
-                onclone: (clonedDoc) => {
-                    const clonedTable = clonedDoc.querySelector('[data-capture], #capture, .capture');
-                    if (clonedTable) {
-                        clonedTable.style.fontFamily = window.getComputedStyle(table).fontFamily;
-                    }
-                }
-            });
+            await this.assignQuoteNumber(this.state);
+            // The logo is loaded lazily and may not be loaded yet if the preview was not scrolled into view
+            const logo = this.dom.get('logo');
+            logo.loading = 'eager';
+            await logo.decode().catch(() => {});
 
-            if (!canvas) {
-                throw new Error('Failed to generate canvas from table');
-            }
+            window.print();
+            await this.saveQuote();
+        } catch (error) {
+            console.error('Error printing quote:', error);
+            Validations.notyf.error('Error al imprimir la cotización. Por favor, intenta nuevamente.');
+        }
+    }
 
-            // Generate high-quality image
-            const imageUrl = canvas.toDataURL('image/png', 1.0);
-            if (!imageUrl || imageUrl === 'data:,') {
-                throw new Error('Failed to generate image data');
-            }
+    /**
+     * Downloads the current quote as a JSON file that can be imported back,
+     * or its lines as a CSV file for spreadsheets.
+     * @private
+     * @param {string} format - 'json' or 'csv'
+     * @returns {Promise<void>}
+     */
+    async generateQuoteFile(format) {
+        if (!Validations.validateHasProducts(this.state.products)) {
+            return;
+        }
 
-            const fileName = this.generateFileName();
-            await this.downloadImage(imageUrl, fileName);
+        try {
+            await this.assignQuoteNumber(this.state);
+            const fileName = this.generateFileName(format);
+            if (format === 'json') {
+                this.downloadFile(JSON.stringify(QuoteFile.toJSON(this.state), null, 2), 'application/json', fileName);
+            } else {
+                // The byte order mark lets spreadsheets detect UTF-8 (accents and Ñ)
+                this.downloadFile(`\uFEFF${QuoteFile.toCsv(this.state)}`, 'text/csv;charset=utf-8', fileName);
+            }
+            await this.saveQuote();
+            Validations.notyf.success(`Archivo descargado: ${fileName}`);
+        } catch (error) {
+            console.error('Error generating quote file:', error);
+            Validations.notyf.error('Error al generar el archivo. Por favor, intenta nuevamente.');
+        }
+    }
 
-            console.log(`Quote image generated successfully: ${fileName}`);
+    /**
+     * Loads a quote from a JSON file chosen by the user. When some lines or
+     * fields have problems, they are listed and the user decides whether to
+     * load the rest of the quote. A quote that is already stored is replaced
+     * only if the user confirms, and is otherwise imported as a new quote; a
+     * number used by another stored quote is replaced with a new one.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async importQuote() {
+        const input = this.dom.get('import_file');
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
 
+        let result;
+        try {
+            result = QuoteFile.parse(await file.text());
         } catch (error) {
-            console.error('Error generating quote image:', error);
+            console.error('Error importing quote:', error);
+            Validations.notyf.error(error.message);
+            return;
+        }
 
-            if (this.showNotification) {
-                this.showNotification('Error al generar la imagen. Por favor, intenta nuevamente.', 'error');
+        const { state, problems } = result;
+        const data = state.toJSON();
+        const { companyId, number } = data.metadata;
+        if (companyId && !this.companies.profiles.some(profile => profile.id === companyId)) {
+            problems.push('El perfil de empresa de la cotización ya no existe; se usa el primero de la lista.');
+        }
+
+        try {
+            const stored = await this.storage.getQuote(data.id);
+            if (stored && !window.confirm(
+                `Ya hay una cotización guardada con este archivo (${stored.number || 'sin número'}, ` +
+                `${stored.clientName || 'sin cliente'}). ¿Reemplazarla con la del archivo?\n\n` +
+                'Si elige Cancelar, se importa como una cotización nueva.')) {
+                data.id = null;
+            }
+
+            if (number && (await this.storage.getQuoteIdsByNumber(number)).some(id => id !== data.id)) {
+                delete data.metadata.number;
+                problems.push(`El número ${number} ya lo usa otra cotización guardada; se asignará un número nuevo.`);
             }
+        } catch (error) {
+            console.error('Error checking imported quote:', error);
+            Validations.notyf.error('No se pudo importar la cotización. Por favor, intenta nuevamente.');
+            return;
+        }
 
-            throw error;
-        } finally {
-            // Restore original display values
-            deleteCells.forEach((cell, index) => {
-                cell.style.display = originalDisplayValues[index] || '';
-            });
+        if (problems.length && !window.confirm(
+            `El archivo tiene ${problems.length} problema(s):\n\n${problems.join('\n')}\n\n` +
+            '¿Cargar la cotización sin los datos con problemas?')) {
+            return;
         }
+
+        this.loadQuote(data);
+        await this.saveQuote();
+        Validations.notyf.success('Cotización importada.');
     }
 
     /**
-     * Download image with better error handling
+     * Triggers the download of a text file.
      * @private
-     * @param {string} imageUrl - Data URL of the image
-     * @param {string} fileName - Name for the downloaded file
+     * @param {string} content - File contents
+     * @param {string} type - MIME type
+     * @param {string} fileName - The name to give the downloaded file
+     */
+    downloadFile(content, type, fileName) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Generates a vector PDF of the current quote from the quote state.
+     * @private
+     * @async
      * @returns {Promise<void>}
      */
-    async downloadImage(imageUrl, fileName) {
+    async generateQuotePdf() {
+        if (!this.state.hasProducts()) {
+            Validations.notyf.error('No hay productos en la cotización. Agrega al menos uno para continuar.');
+            console.warn('Cannot generate PDF: No products available');
+            return;
+        }
+
         try {
-            const link = document.createElement('a');
-            link.href = imageUrl;
-            link.download = fileName;
-            link.style.display = 'none';
+            await this.assignQuoteNumber(this.state);
+            const exporter = new QuotePdfExporter({ paperSize: this.dom.get('paper_size').value });
+            const company = this.getCompany();
+            const logo = await QuotePdfExporter.imageToDataUrl(company.logo);
+            const fileName = this.generateFileName('pdf');
+
+            exporter.export(this.state, {
+                company,
+                observations: this.getObservations(),
+                logo
+            }, fileName);
+            await this.saveQuote();
+            Validations.notyf.success(`PDF descargado: ${fileName}`);
+        } catch (error) {
+            console.error('Error generating quote PDF:', error);
+            Validations.notyf.error('Error al generar el PDF. Por favor, intenta nuevamente.');
+        }
+    }
 
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+    /**
+     * Generates PNG images of the current quote, one per page of the chosen
+     * paper size (see {@link QuoteImageExporter}). Quotes with several pages
+     * are downloaded as numbered files.
+     * @private
+     * @async
+     * @returns {Promise<void>}
+     */
+    async generateQuoteImage() {
+        if (!this.state.hasProducts()) {
+            // notify user
+            Validations.notyf.error('No hay productos en la cotización. Agrega al menos uno para continuar.');
+            console.warn('Cannot generate image: No products available');
+            return;
+        }
 
-            if (imageUrl.startsWith('blob:')) {
-                URL.revokeObjectURL(imageUrl);
+        try {
+            const table = this.dom.get('capture');
+            if (!table) {
+                throw new Error('Capture element not found');
             }
 
+            await this.assignQuoteNumber(this.state);
+            const exporter = new QuoteImageExporter({ paperSize: this.dom.get('paper_size').value });
+            const images = await exporter.build(table, this.state);
+
+            const fileName = this.generateFileName('png');
+            for (const [index, imageUrl] of images.entries()) {
+                this.downloadImage(imageUrl, images.length > 1 ? fileName.replace(/\.png$/, `-${index + 1}.png`) : fileName);
+            }
+            await this.saveQuote();
+            Validations.notyf.success(images.length > 1
+                ? `${images.length} imágenes descargadas: ${fileName}`
+                : `Imagen descargada: ${fileName}`);
         } catch (error) {
-            console.error('Error downloading image:', error);
-            throw new Error('Failed to download image');
+            console.error('Error generating quote image:', error);
+            Validations.notyf.error('Error al generar la imagen. Por favor, intenta nuevamente.');
         }
     }
 
     /**
-     * Generates a filename for the quote image based on client initials,
-     * current date, and quote counter.
+     * Generates a filename for the exported quote based on the quote number.
      * @private
+     * @param {string} extension - File extension, without the dot
      * @returns {string} The generated filename
      */
-    generateFileName() {
-        const clientName = this.dom.get('client').value;
-        const cleanDate = QuoteUtils.cleanDate(this.currentDate);
-        const initials = QuoteUtils.getInitials(clientName);
-        const identifier = QuoteUtils.generateQuoteIdentifier(this.state.quoteCounter++);
-        return `${initials}${cleanDate}-${identifier}.png`;
+    generateFileName(extension) {
+        return `${this.state.getQuoteNumber() || 'cotizacion'}.${extension}`;
     }
 
     /**
@@ -0,0 +1,457 @@
+import { QuoteUtils } from './utils.js';
+import { Validations } from './validations.js';
+import { STYLE, STATE_EVENTS } from './constants.js';
+
+/**
+ * Product fields that can be edited directly in the quote table,
+ * with the input attributes and parser used for each one, and an optional
+ * formatter for the initial input value.
+ * @constant {Object.<string, {attributes: Object, parse: function(string): *, format: function(*): string}>}
+ */
+const EDITABLE_FIELDS = {
+    cantidad: { attributes: { type: 'number', min: '1', step: '1' }, parse: value => parseInt(value) },
+    nombre: { attributes: { type: 'text' }, parse: value => value.trim() },
+    precio: { attributes: { type: 'number', min: '0', step: '0.01' }, parse: value => parseFloat(value) },
+    descuento: {
+        attributes: { type: 'text', placeholder: '10% o 25.00' },
+        parse: value => QuoteUtils.parseDiscount(value),
+        format: value => QuoteUtils.formatDiscount(value, true)
+    }
+};
+
+/**
+ * Product fields shown in each row of the quote table, in column order.
+ * @constant {Array<{field: string, className: ?string}>}
+ */
+const ROW_FIELDS = [
+    { field: 'cantidad', className: null },
+    { field: 'nombre', className: null },
+    { field: 'precio', className: 'money-cell' },
+    { field: 'descuento', className: 'money-cell' },
+    { field: 'subtotal', className: 'money-cell' }
+];
+
+/**
+ * View of the products and totals of the quote preview. It subscribes to the
+ * {@link QuoteState} events and updates the row of each product, keyed by its
+ * id, instead of rebuilding the table; rows are only rebuilt when the whole
+ * list is replaced or its grouping changes. Cells can be edited in place.
+ */
+export class QuoteTableView {
+    /**
+     * Creates the quote table view.
+     * @param {DOMElements} dom - Cached DOM elements of the application
+     * @param {Object} handlers - Callbacks for the table actions
+     * @param {function(string): void} handlers.onRemove - Called with the ID of the product to remove
+     * @param {function(): void} handlers.onEdit - Called after an in-place edit changed a product
+     * @param {function(?Object, number): boolean} handlers.authorizeDiscount - Checks a line discount against the allowed maximum
+     * @param {function(string): Object} handlers.getCatalogFields - Gets the catalog fields of a product name
+     */
+    constructor(dom, { onRemove, onEdit, authorizeDiscount, getCatalogFields }) {
+        this.dom = dom;
+        this.onRemove = onRemove;
+        this.onEdit = onEdit;
+        this.authorizeDiscount = authorizeDiscount;
+        this.getCatalogFields = getCatalogFields;
+        this.tbody = dom.get('products_table');
+        this.state = null;
+        this.unsubscribe = [];
+
+        /**
+         * Row of each product, by product ID.
+         * @private
+         * @type {Map<string, HTMLTableRowElement>}
+         */
+        this.rows = new Map();
+
+        /**
+         * Amount cell of each category subtotal row, by category key, when grouped.
+         * @private
+         * @type {Map<?string, HTMLTableCellElement>}
+         */
+        this.subtotalCells = new Map();
+    }
+
+    /**
+     * Shows a quote and follows its changes, leaving the previous one.
+     * @param {QuoteState} state - Quote to show
+     */
+    setState(state) {
+        this.unsubscribe.forEach(unsubscribe => unsubscribe());
+        this.state = state;
+        this.rows.clear();
+        this.unsubscribe = [
+            state.on(STATE_EVENTS.PRODUCT_ADDED, ({ product, index }) => this.handleProductAdded(product, index)),
+            state.on(STATE_EVENTS.PRODUCT_REMOVED, ({ product }) => this.handleProductRemoved(product)),
+            state.on(STATE_EVENTS.PRODUCT_UPDATED, ({ product, updates }) => this.handleProductUpdated(product, updates)),
+            state.on(STATE_EVENTS.PRODUCTS_REPLACED, () => this.render()),
+            state.on(STATE_EVENTS.QUOTE_CHANGED, ({ field }) => this.handleQuoteChanged(field)),
+            state.on(STATE_EVENTS.CHANGE, () => this.renderTotals())
+        ];
+        this.render();
+        this.renderTotals();
+    }
+
+    /**
+     * Lays out the rows of all products, reusing the rows of products that
+     * are already shown, with category sections when the quote is grouped.
+     */
+    render() {
+        const rows = new Map();
+        const getRow = (product) => {
+            const row = this.rows.get(product.id) || this.createProductRow(product);
+            this.fillRow(row, product);
+            rows.set(product.id, row);
+            return row;
+        };
+        const elements = [];
+
+        this.subtotalCells.clear();
+        if (this.state.groupByCategory) {
+            this.state.getCategoryGroups().forEach(group => {
+                const label = QuoteUtils.getCategoryLabel(group.categoria);
+                elements.push(this.createCategoryRow(label));
+                group.products.forEach(product => elements.push(getRow(product)));
+                elements.push(this.createCategorySubtotalRow(group.categoria, label, group.subtotal));
+            });
+        } else {
+            this.state.products.forEach(product => elements.push(getRow(product)));
+        }
+
+        this.rows = rows;
+        this.tbody.replaceChildren(...elements);
+        this.renderEmptyRows();
+    }
+
+    /**
+     * Shows an added product.
+     * @private
+     * @param {Object} product - Added product
+     * @param {number} index - Its index in the products array
+     */
+    handleProductAdded(product, index) {
+        if (this.state.groupByCategory) {
+            this.render();
+            return;
+        }
+
+        const row = this.createProductRow(product);
+        this.fillRow(row, product);
+        this.rows.set(product.id, row);
+
+        const next = this.state.products[index + 1];
+        this.tbody.insertBefore(row, (next && this.rows.get(next.id)) || this.tbody.querySelector('.empty-row'));
+        this.renderEmptyRows();
+    }
+
+    /**
+     * Removes the row of a removed product.
+     * @private
+     * @param {Object} product - Removed product
+     */
+    handleProductRemoved(product) {
+        if (this.state.groupByCategory) {
+            this.render();
+            return;
+        }
+
+        this.rows.get(product.id)?.remove();
+        this.rows.delete(product.id);
+        this.renderEmptyRows();
+    }
+
+    /**
+     * Refreshes the row of an updated product and, when grouped, the category
+     * subtotals. A product moving to another category rebuilds the sections.
+     * @private
+     * @param {Object} product - Updated product
+     * @param {Object} updates - Updated fields
+     */
+    handleProductUpdated(product, updates) {
+        const row = this.rows.get(product.id);
+        if (!row || (this.state.groupByCategory && 'categoria' in updates)) {
+            this.render();
+            return;
+        }
+
+        this.fillRow(row, product);
+        if (this.state.groupByCategory) {
+            this.renderCategorySubtotals();
+        }
+    }
+
+    /**
+     * Refreshes the rows affected by a change of the quote options.
+     * @private
+     * @param {?string} field - Changed option, or null when a quote was loaded
+     */
+    handleQuoteChanged(field) {
+        if (field === 'groupByCategory') {
+            this.render();
+        } else if (field === 'tax') {
+            // The client exemption shows or hides the exempt badge of every row
+            this.state.products.forEach(product => this.fillRow(this.rows.get(product.id), product));
+        }
+    }
+
+    /**
+     * Keeps the table at least {@link STYLE.MIN_ROWS} rows high with empty rows.
+     * @private
+     */
+    renderEmptyRows() {
+        this.tbody.querySelectorAll('.empty-row').forEach(row => row.remove());
+
+        const rowsToAdd = STYLE.MIN_ROWS - this.state.products.length;
+        for (let i = 0; i < rowsToAdd; i++) {
+            const emptyRow = document.createElement('tr');
+            emptyRow.classList.add('empty-row');
+
+            const emptyTd = document.createElement('td');
+            emptyTd.colSpan = 6;
+            emptyTd.innerHTML = '&nbsp;';
+
+            emptyRow.appendChild(emptyTd);
+            this.tbody.appendChild(emptyRow);
+        }
+    }
+
+    /**
+     * Updates the subtotal of every category section.
+     * @private
+     */
+    renderCategorySubtotals() {
+        this.state.getCategoryGroups().forEach(group => {
+            const cell = this.subtotalCells.get(group.categoria);
+            if (cell) cell.textContent = QuoteUtils.formatCurrency(group.subtotal, this.state.currency.code);
+        });
+    }
+
+    /**
+     * Updates the discount, subtotal, IVA and total rows, and the total in words.
+     * @private
+     */
+    renderTotals() {
+        const { discount, subtotal, tax, total } = this.state.getTotals();
+        const { code } = this.state.currency;
+        this.dom.get('discount_row').hidden = discount === 0;
+        this.dom.get('discount_label').textContent = this.state.discount?.type === 'percent'
+            ? `Descuento (${this.state.discount.value}%):`
+            : 'Descuento:';
+        this.dom.get('discount_total').textContent = `-${QuoteUtils.formatCurrency(discount, code)}`;
+        this.dom.get('subtotal').textContent = QuoteUtils.formatCurrency(subtotal, code);
+        this.dom.get('tax').textContent = QuoteUtils.formatCurrency(tax, code);
+        this.dom.get('tax_label').textContent = QuoteUtils.getTaxLabel(this.state.tax);
+        this.dom.get('total').textContent = QuoteUtils.formatCurrency(total, code);
+        this.dom.get('total_words').textContent = `SON: ${QuoteUtils.amountToWords(total, code)}`;
+    }
+
+    /**
+     * Creates the heading row of a category section in the grouped quote table.
+     * @private
+     * @param {string} label - Category name
+     * @returns {HTMLTableRowElement} The created table row element
+     */
+    createCategoryRow(label) {
+        const row = document.createElement('tr');
+        row.classList.add('category-row');
+
+        const td = document.createElement('td');
+        // Spans the delete button column of the product rows too
+        td.colSpan = 6;
+        td.textContent = label;
+
+        row.appendChild(td);
+        return row;
+    }
+
+    /**
+     * Creates the subtotal row closing a category section in the grouped quote table.
+     * @private
+     * @param {?string} categoria - Category key
+     * @param {string} label - Category name
+     * @param {number} subtotal - Sum of the net amounts of the category products
+     * @returns {HTMLTableRowElement} The created table row element
+     */
+    createCategorySubtotalRow(categoria, label, subtotal) {
+        const row = document.createElement('tr');
+        row.classList.add('category-subtotal-row');
+
+        const labelCell = document.createElement('td');
+        labelCell.colSpan = 4;
+        labelCell.classList.add('total-label');
+        labelCell.textContent = `Subtotal ${label}:`;
+
+        const amountCell = document.createElement('td');
+        amountCell.classList.add('money-cell');
+        amountCell.textContent = QuoteUtils.formatCurrency(subtotal, this.state.currency.code);
+        this.subtotalCells.set(categoria, amountCell);
+
+        row.append(labelCell, amountCell);
+        return row;
+    }
+
+    /**
+     * Creates the row of a product, with its editable cells and delete button.
+     * The cell contents are set by {@link QuoteTableView#fillRow}.
+     * @private
+     * @param {Object} product - The product to create a row for
+     * @returns {HTMLTableRowElement} The created table row element
+     */
+    createProductRow(product) {
+        const row = document.createElement('tr');
+        row.dataset.id = product.id;
+
+        ROW_FIELDS.forEach(({ field, className }) => {
+            const td = document.createElement('td');
+            td.dataset.field = field;
+            if (className) td.classList.add(className);
+            if (field in EDITABLE_FIELDS) {
+                td.classList.add('editable-cell');
+                td.title = 'Clic para editar';
+                td.addEventListener('click', () => this.editCell(td, product.id, field));
+            }
+            row.appendChild(td);
+        });
+
+        const actions = document.createElement('td');
+        actions.classList.add('actions-cell');
+        actions.appendChild(this.createDeleteButton(() => this.onRemove(product.id)));
+        row.appendChild(actions);
+
+        return row;
+    }
+
+    /**
+     * Shows the values of a product in its row: the original unit price, the
+     * line discount and the net subtotal. Cells being edited are left alone.
+     * @private
+     * @param {HTMLTableRowElement} row - Row of the product
+     * @param {Object} product - The product
+     */
+    fillRow(row, product) {
+        const { discount, net } = this.state.getLineAmounts(product);
+        const { code } = this.state.currency;
+        const values = {
+            cantidad: product.cantidad,
+            nombre: product.nombre,
+            precio: QuoteUtils.formatCurrency(product.precio, code),
+            descuento: QuoteUtils.describeDiscount(product.descuento, discount, code),
+            subtotal: QuoteUtils.formatCurrency(net, code)
+        };
+
+        row.querySelectorAll('td[data-field]').forEach(td => {
+            if (td.querySelector('input')) return;
+            td.textContent = values[td.dataset.field];
+            if (td.dataset.field === 'nombre' && this.state.isExempt(product)) {
+                const badge = document.createElement('span');
+                badge.classList.add('exempt-badge');
+                badge.textContent = 'Exento';
+                td.appendChild(badge);
+            }
+        });
+    }
+
+    /**
+     * Turns a product cell into an input so the value can be edited in place.
+     * Subtotal and total are recalculated while typing; the change is validated
+     * when the input loses focus (or Enter is pressed) and reverted if invalid.
+     * Escape cancels the edit. The finished edit is recorded as a single change.
+     * @private
+     * @param {HTMLTableCellElement} td - The cell to edit
+     * @param {string} productId - ID of the product shown in the row
+     * @param {string} field - Product field edited by the cell
+     */
+    editCell(td, productId, field) {
+        if (td.querySelector('input')) return;
+
+        const index = this.state.getProductIndex(productId);
+        if (index === -1) return;
+
+        const product = this.state.products[index];
+        const original = product[field];
+        const config = EDITABLE_FIELDS[field];
+        let cancelled = false;
+
+        const input = document.createElement('input');
+        input.classList.add('inline-edit');
+        Object.entries(config.attributes).forEach(([name, value]) => input.setAttribute(name, value));
+        input.value = config.format ? config.format(original) : original;
+        if (field === 'nombre') {
+            QuoteUtils.setUpperCase(input);
+        }
+
+        td.textContent = '';
+        td.appendChild(input);
+        input.focus();
+        input.select();
+
+        const getValues = () => ({
+            nombre: product.nombre,
+            cantidad: String(product.cantidad),
+            precio: String(product.precio),
+            [field]: input.value
+        });
+
+        const isValidInput = (notify) => field === 'descuento'
+            ? Validations.validateDiscount(config.parse(input.value), this.state.getLineAmounts(product).gross, { notify })
+            : Validations.validateProduct(getValues(), { notify });
+
+        input.addEventListener('input', () => {
+            const current = this.state.getProductIndex(productId);
+            if (current !== -1 && isValidInput(false)) {
+                // Intermediate values are not recorded for undo
+                this.state.updateProduct(current, { [field]: config.parse(input.value) }, { record: false });
+            }
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                input.blur();
+            } else if (e.key === 'Escape') {
+                cancelled = true;
+                input.blur();
+            }
+        });
+
+        input.addEventListener('blur', () => {
+            const value = config.parse(input.value);
+            const isValid = !cancelled && isValidInput(true) && (field !== 'descuento' ||
+                this.authorizeDiscount(value, this.state.getLineAmounts(product).gross));
+            const changed = isValid && input.value !== (config.format ? config.format(original) : String(original));
+            input.remove();
+
+            const current = this.state.getProductIndex(productId);
+            if (current === -1) return;
+
+            // Go back to the value before the edit so the whole edit is undone at once
+            this.state.updateProduct(current, { [field]: original }, { record: false });
+            if (changed) {
+                const updates = { [field]: value };
+                if (field === 'nombre') Object.assign(updates, this.getCatalogFields(value));
+                this.state.updateProduct(current, updates);
+                this.onEdit();
+            }
+        }, { once: true });
+    }
+
+    /**
+     * Creates a delete button for a product row with a FontAwesome icon.
+     * @private
+     * @param {Function} onClick - The callback function to execute when the button is clicked
+     * @returns {HTMLButtonElement} The created button element
+     */
+    createDeleteButton(onClick) {
+        const button = document.createElement('button');
+        button.setAttribute('type', 'button');
+        button.classList.add('btn-danger');
+
+        const icon = document.createElement('i');
+        icon.classList.add('fas', 'fa-trash');
+        button.appendChild(icon);
+
+        button.addEventListener('click', onClick);
+
+        return button;
+    }
+}
@@ -0,0 +1,55 @@
+import { STORAGE_KEYS, TAX, DISCOUNT, NUMBERING, VALIDITY } from './constants.js';
+
+/**
+ * Default values of the user-configurable settings.
+ * @constant {Object}
+ */
+const DEFAULT_SETTINGS = {
+    taxMode: TAX.mode,
+    taxRate: TAX.rate,
+    maxDiscountPercent: DISCOUNT.maxPercent,
+    numberFormat: NUMBERING.format,
+    numberReset: NUMBERING.reset,
+    validityDays: VALIDITY.days,
+    companyId: null
+};
+
+/**
+ * Static class giving access to the user settings stored in localStorage.
+ * Unknown or missing values fall back to {@link DEFAULT_SETTINGS}.
+ */
+export class Settings {
+    /**
+     * Gets all settings merged with their defaults.
+     * @static
+     * @returns {Object} Current settings
+     */
+    static getAll() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.SETTINGS)) || {};
+            return { ...DEFAULT_SETTINGS, ...stored };
+        } catch (error) {
+            console.error('Invalid settings in localStorage, using defaults:', error);
+            return { ...DEFAULT_SETTINGS };
+        }
+    }
+
+    /**
+     * Gets a single setting.
+     * @static
+     * @param {string} key - Setting name
+     * @returns {*} The setting value
+     */
+    static get(key) {
+        return this.getAll()[key];
+    }
+
+    /**
+     * Stores one or more settings.
+     * @static
+     * @param {Object} values - Settings to update
+     */
+    static set(values) {
+        localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify({ ...this.getAll(), ...values }));
+    }
+}
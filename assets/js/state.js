@@ -1,9 +1,115 @@
 // State Management
+import { TAX, VALIDITY, QUOTE_STATUS, STATE_EVENTS, CURRENCY, QUOTE_OBSERVATIONS } from './constants.js';
+
+/**
+ * Document type of quotes (see {@link DOCUMENT_TYPES}).
+ * @constant {string}
+ */
+const QUOTE_DOCUMENT = 'cotizacion';
+
+/**
+ * Maximum number of changes that can be undone.
+ * @constant {number}
+ */
+const HISTORY_LIMIT = 50;
+
+/**
+ * Converts a date value into an ISO string, keeping empty values as null.
+ * @param {Date|string|null} value - Date to convert
+ * @returns {?string} ISO string or null
+ */
+const toISOString = (value) => value ? new Date(value).toISOString() : null;
+
+/**
+ * Revives a serialized date value, keeping empty values as null.
+ * @param {Date|string|null} value - Serialized date
+ * @returns {?Date} Date instance or null
+ */
+const toDate = (value) => value ? new Date(value) : null;
+
+/**
+ * Gets the start (local midnight) of the day of a date.
+ * @param {Date|string} value - Date
+ * @returns {Date} Start of the day
+ */
+const startOfDay = (value) => {
+    const date = new Date(value);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+/**
+ * Creates the metadata of a new quote, issued today as a draft.
+ * @returns {Object} Metadata (see {@link QuoteState#metadata})
+ */
+const createMetadata = () => ({
+    created: new Date(),
+    lastModified: new Date(),
+    issueDate: startOfDay(new Date()),
+    validityDays: VALIDITY.days,
+    deliveryDate: null,
+    status: QUOTE_STATUS.DRAFT,
+    documentType: QUOTE_DOCUMENT,
+    source: null,
+    companyId: null,
+    version: '1.0'
+});
+
+/**
+ * Rounds an amount to cents.
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Calculates the amount of a percentage or fixed discount over a base amount.
+ * Fixed discounts never exceed the base.
+ * @param {?{type: string, value: number}} discount - Discount, or null
+ * @param {number} base - Amount the discount applies to
+ * @returns {number} Discount amount
+ */
+const calculateDiscount = (discount, base) => {
+    if (!discount || !discount.value || base <= 0) return 0;
+    const amount = discount.type === 'percent' ? base * discount.value / 100 : discount.value;
+    return roundCurrency(Math.min(amount, base));
+};
+
+/**
+ * Creates the currency of a quote issued in the base currency.
+ * @returns {Object} Base currency (see {@link QuoteState#currency})
+ */
+const createCurrency = () => ({
+    code: CURRENCY.code,
+    rate: 1,
+    rateDate: null
+});
+
+/**
+ * Creates the information of a client that has not been entered yet.
+ * @returns {Object} Empty client (see {@link QuoteState#client})
+ */
+const createClient = () => ({
+    id: null,
+    name: '',
+    nit: '',
+    address: '',
+    phone: '',
+    email: '',
+    notes: '',
+    lastModified: null
+});
+
 export class QuoteState {
     /**
-     * Initializes a new QuoteState instance with empty products array and initial counter.
+     * Initializes a new QuoteState instance with empty products array.
      */
     constructor() {
+        /**
+         * Unique identifier of the quote, used as its key in local storage.
+         * @type {string}
+         */
+        this.id = this.generateQuoteId();
+
         /**
          * Array of products in the current quote.
          * @type {Array<Object>}
@@ -11,34 +117,138 @@ export class QuoteState {
          * @property {number} cantidad - The quantity of the product
          * @property {number} precio - The price per unit
          * @property {string} cliente - The client name associated with the product
+         * @property {?string} sku - Catalog code, when the product comes from the catalog
+         * @property {?string} unidad - Unit of measure, when the product comes from the catalog
+         * @property {?string} categoria - Catalog category key, when the product comes from the catalog
+         * @property {boolean} [exento] - Whether the product is exempt from IVA
+         * @property {?Object} [descuento] - Line discount (see {@link QuoteState#discount})
          */
         this.products = [];
         
         /**
-         * Counter used to generate unique identifiers for quotes.
-         * Increments with each quote generation.
-         * @type {number}
+         * Current client information
+         * @type {Object}
+         * @property {?string} id - ID of the client in the directory, or null if it was typed by hand
+         * @property {string} name - Name of the client
+         * @property {string} nit - NIT, or 'CF' for consumidor final
+         * @property {string} address - Address
+         * @property {string} phone - Phone number
+         * @property {string} email - Email address
+         * @property {string} notes - Internal notes, not printed on the quote
          */
-        this.quoteCounter = 1;
-        
+        this.client = createClient();
+
         /**
-         * Current client information
+         * Tax (IVA) configuration of the quote
          * @type {Object}
+         * @property {string} mode - 'included' if prices include IVA, 'added' if IVA is added on top
+         * @property {number} rate - Tax rate (e.g. 0.12 for 12%)
+         * @property {boolean} clientExempt - Whether the client is exempt from IVA
          */
-        this.client = {
-            name: '',
-            lastModified: null
+        this.tax = {
+            ...TAX,
+            clientExempt: false
         };
+
+        /**
+         * Discount applied to the whole quote, after line discounts, or null
+         * @type {?Object}
+         * @property {string} type - 'percent' or 'amount'
+         * @property {number} value - Percentage (0-100) or fixed amount
+         * @property {boolean} [authorized] - Set when the discount exceeds the allowed maximum and was authorized
+         */
+        this.discount = null;
+
+        /**
+         * Whether the quote table is grouped by product category, with a subtotal per category
+         * @type {boolean}
+         */
+        this.groupByCategory = false;
+
+        /**
+         * Currency of the prices and amounts of the quote
+         * @type {Object}
+         * @property {string} code - Currency code (see {@link CURRENCIES})
+         * @property {number} rate - Amount of the base currency per unit of this one, fixed when the currency was chosen
+         * @property {?string} rateDate - Effective date (YYYY-MM-DD) of the exchange rate, or null for the base currency
+         */
+        this.currency = createCurrency();
+
+        /**
+         * Observation lines printed at the end of the quote, which may hold
+         * placeholders such as {validez} (see {@link QUOTE_OBSERVATIONS})
+         * @type {string[]}
+         */
+        this.observations = [...QUOTE_OBSERVATIONS];
         
         /**
          * Quote metadata
          * @type {Object}
+         * @property {Date} created - Creation timestamp
+         * @property {Date} lastModified - Last modification timestamp
+         * @property {string} [number] - Quote number, once assigned
+         * @property {Date} issueDate - Issue date (start of the day)
+         * @property {number} validityDays - Days the quote is valid after its issue date
+         * @property {?Date} deliveryDate - Promised delivery date (start of the day), or null if it is to be agreed
+         * @property {string} status - Status chosen by the user (see {@link QUOTE_STATUS})
+         * @property {string} documentType - 'cotizacion', 'pedido' or 'proforma' (see {@link DOCUMENT_TYPES})
+         * @property {?{id: string, number: string}} source - Quote a sales order or proforma was created from
+         * @property {?string} companyId - Company profile (branch) the quote is issued by, or null for the first one
          */
-        this.metadata = {
-            created: new Date(),
-            lastModified: new Date(),
-            version: '1.0'
-        };
+        this.metadata = createMetadata();
+
+        /**
+         * Changes that can be undone, the most recent last. Each entry keeps
+         * the products and client as they were before the change.
+         * @type {Array<{action: string, products: Object[], client: Object}>}
+         */
+        this.undoStack = [];
+
+        /**
+         * Undone changes that can be redone, the most recently undone last.
+         * @type {Array<{action: string, products: Object[], client: Object}>}
+         */
+        this.redoStack = [];
+
+        /**
+         * Listeners of each event (see {@link STATE_EVENTS})
+         * @private
+         * @type {Map<string, Set<function(Object): void>>}
+         */
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribes to changes of the quote. Listeners receive the event details:
+     * - PRODUCT_ADDED, PRODUCT_REMOVED: `{product, index}`
+     * - PRODUCT_UPDATED: `{product, index, updates}`
+     * - PRODUCTS_REPLACED: `{products}`, when the whole list changes (cleared, undone, loaded)
+     * - CLIENT_CHANGED: `{client}`
+     * - QUOTE_CHANGED: `{field}`, the changed option ('tax', 'discount', 'groupByCategory',
+     *   'number', 'issueDate', 'validityDays', 'deliveryDate', 'status', 'company', 'currency' or
+     *   'observations'), or null when a quote is loaded
+     * - CHANGE: the details of any of the above plus its `type`
+     * @param {string} type - One of {@link STATE_EVENTS}
+     * @param {function(Object): void} listener - Called after each change
+     * @returns {function(): void} Function removing the listener
+     * @example
+     * const unsubscribe = state.on(STATE_EVENTS.PRODUCT_ADDED, ({ product }) => console.log(product.nombre));
+     */
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Removes a listener added with {@link QuoteState#on}
+     * @param {string} type - One of {@link STATE_EVENTS}
+     * @param {function(Object): void} listener - Listener to remove
+     */
+    off(type, listener) {
+        this.listeners.get(type)?.delete(listener);
     }
 
     /**
@@ -51,13 +261,16 @@ export class QuoteState {
             return false;
         }
         
-        this.products.push({
+        this.recordChange('addProduct');
+        const added = {
             ...product,
             id: this.generateProductId(),
             addedAt: new Date()
-        });
+        };
+        this.products.push(added);
         
         this.updateMetadata();
+        this.emit(STATE_EVENTS.PRODUCT_ADDED, { product: added, index: this.products.length - 1 });
         return true;
     }
 
@@ -71,8 +284,10 @@ export class QuoteState {
             return false;
         }
         
-        this.products.splice(index, 1);
+        this.recordChange('removeProduct');
+        const [removed] = this.products.splice(index, 1);
         this.updateMetadata();
+        this.emit(STATE_EVENTS.PRODUCT_REMOVED, { product: removed, index });
         return true;
     }
 
@@ -80,13 +295,17 @@ export class QuoteState {
      * Updates a product by index
      * @param {number} index - Index of product to update
      * @param {Object} updates - Fields to update
+     * @param {Object} [options] - Update options
+     * @param {boolean} [options.record=true] - Whether the change can be undone; false for the
+     * intermediate values of an edit in progress, which is recorded once it is finished
      * @returns {boolean} Success status
      */
-    updateProduct(index, updates) {
+    updateProduct(index, updates, { record = true } = {}) {
         if (index < 0 || index >= this.products.length) {
             return false;
         }
         
+        if (record) this.recordChange('updateProduct');
         this.products[index] = {
             ...this.products[index],
             ...updates,
@@ -94,17 +313,176 @@ export class QuoteState {
         };
         
         this.updateMetadata();
+        this.emit(STATE_EVENTS.PRODUCT_UPDATED, { product: this.products[index], index, updates });
         return true;
     }
 
     /**
-     * Gets the total amount of the quote
+     * Finds the index of a product by its ID
+     * @param {string} id - Product ID
+     * @returns {number} Index of the product, or -1 if not found
+     */
+    getProductIndex(id) {
+        return this.products.findIndex(product => product.id === id);
+    }
+
+    /**
+     * Gets the total amount of the quote, including IVA
      * @returns {number} Total amount
      */
     getTotal() {
-        return this.products.reduce((total, product) => {
-            return total + (product.cantidad * product.precio);
-        }, 0);
+        return this.getTotals().total;
+    }
+
+    /**
+     * Gets the amounts of a quote line: price times quantity, line discount and net amount
+     * @param {Object} product - Product of the quote
+     * @returns {{gross: number, discount: number, net: number}} Line amounts
+     */
+    getLineAmounts(product) {
+        const gross = roundCurrency(product.cantidad * product.precio);
+        const discount = calculateDiscount(product.descuento, gross);
+        return { gross, discount, net: roundCurrency(gross - discount) };
+    }
+
+    /**
+     * Gets the subtotal, IVA and grand total of the quote according to the tax mode.
+     * Line discounts are applied first and the global discount is then spread over
+     * taxable and exempt amounts proportionally. Exempt products, or every product
+     * when the client is exempt, carry no IVA.
+     * @returns {{lines: number, discount: number, subtotal: number, tax: number, total: number, exempt: number}}
+     * Quote totals; `lines` is the sum of the net line amounts, `discount` the global
+     * discount and `exempt` the amount of the exempt products after discounts
+     */
+    getTotals() {
+        let taxable = 0;
+        let exempt = 0;
+
+        this.products.forEach(product => {
+            const { net } = this.getLineAmounts(product);
+            if (this.isExempt(product)) {
+                exempt += net;
+            } else {
+                taxable += net;
+            }
+        });
+
+        const lines = roundCurrency(taxable + exempt);
+        const discount = calculateDiscount(this.discount, lines);
+        if (discount > 0) {
+            const factor = (lines - discount) / lines;
+            taxable = roundCurrency(taxable * factor);
+            exempt = roundCurrency(lines - discount - taxable);
+        }
+
+        if (this.tax.mode === 'added') {
+            const tax = roundCurrency(taxable * this.tax.rate);
+            const subtotal = roundCurrency(taxable + exempt);
+            return { lines, discount, subtotal, tax, total: roundCurrency(subtotal + tax), exempt };
+        }
+
+        const total = roundCurrency(taxable + exempt);
+        const tax = roundCurrency(taxable - taxable / (1 + this.tax.rate));
+        return { lines, discount, subtotal: roundCurrency(total - tax), tax, total, exempt };
+    }
+
+    /**
+     * Sets the discount applied to the whole quote
+     * @param {?Object} discount - Discount ({type, value, authorized}) or null to remove it
+     */
+    setDiscount(discount) {
+        this.discount = discount;
+        this.updateMetadata();
+        this.emit(STATE_EVENTS.QUOTE_CHANGED, { field: 'discount' });
+    }
+
+    /**
+     * Sets whether the quote table is grouped by product category
+     * @param {boolean} enabled - True to group the products by category
+     */
+    setGroupByCategory(enabled) {
+        this.groupByCategory = Boolean(enabled);
+        this.updateMetadata();
+        this.emit(STATE_EVENTS.QUOTE_CHANGED, { field: 'groupByCategory' });
+    }
+
+    /**
+     * Groups the products by catalog category, in the order each category first
+     * appears in the quote. Products without a category (typed by hand) share a
+     * group whose category is null.
+     * @returns {Array<{categoria: ?string, products: Object[], subtotal: number}>}
+     * Groups with their products and the sum of their net line amounts
+     */
+    getCategoryGroups() {
+        const groups = new Map();
+
+        this.products.forEach(product => {
+            const categoria = product.categoria || null;
+            if (!groups.has(categoria)) {
+                groups.set(categoria, { categoria, products: [], subtotal: 0 });
+            }
+            const group = groups.get(categoria);
+            group.products.push(product);
+            group.subtotal = roundCurrency(group.subtotal + this.getLineAmounts(product).net);
+        });
+
+        return [...groups.values()];
+    }
+
+    /**
+     * Checks whether a product carries no IVA
+     * @param {Object} product - Product of the quote
+     * @returns {boolean} True if the product or the client is exempt
+     */
+    isExempt(product) {
+        return this.tax.clientExempt || Boolean(product.exento);
+    }
+
+    /**
+     * Updates the tax configuration of the quote
+     * @param {Object} updates - Tax fields to update (mode, rate, clientExempt)
+     */
+    setTax(updates) {
+        this.tax = { ...this.tax, ...updates };
+        this.updateMetadata();
+        this.emit(STATE_EVENTS.QUOTE_CHANGED, { field: 'tax' });
+    }
+
+    /**
+     * Changes the currency of the quote, converting the prices and the fixed
+     * discounts with the new exchange rate. Converted amounts are rounded to
+     * cents, and the changes made before cannot be undone.
+     * @param {Object} currency - New currency (see {@link QuoteState#currency})
+     * @param {string} currency.code - Currency code
+     * @param {number} [currency.rate=1] - Amount of the base currency per unit of the new one
+     * @param {?string} [currency.rateDate=null] - Effective date of the rate
+     */
+    setCurrency({ code, rate = 1, rateDate = null }) {
+        const factor = this.currency.rate / rate;
+        const convert = (discount) => discount?.type === 'amount'
+            ? { ...discount, value: roundCurrency(discount.value * factor) }
+            : discount;
+
+        this.products = this.products.map(product => ({
+            ...product,
+            precio: roundCurrency(product.precio * factor),
+            descuento: convert(product.descuento)
+        }));
+        this.discount = convert(this.discount);
+        this.currency = { code, rate, rateDate };
+        this.clearHistory();
+        this.updateMetadata();
+        this.emit(STATE_EVENTS.PRODUCTS_REPLACED, { products: this.products });
+        this.emit(STATE_EVENTS.QUOTE_CHANGED, { field: 'currency' });
+    }
+
+    /**
+     * Converts an amount of the base currency, such as a catalog price, into the currency of the quote
+     * @param {number} amount - Amount in the base currency
+     * @returns {number} Amount in the quote currency, rounded to cents
+     */
+    fromBaseCurrency(amount) {
+        return roundCurrency(amount / this.currency.rate);
     }
 
     /**
@@ -126,13 +504,34 @@ export class QuoteState {
     }
 
     /**
-     * Sets client information
+     * Sets client information. Renaming the client unlinks it from its directory entry.
      * @param {string} clientName - Name of the client
      */
     setClient(clientName) {
+        if (clientName !== this.client.name) {
+            this.recordChange('setClient');
+            this.client.id = null;
+        }
         this.client.name = clientName;
         this.client.lastModified = new Date();
         this.updateMetadata();
+        this.emit(STATE_EVENTS.CLIENT_CHANGED, { client: this.client });
+    }
+
+    /**
+     * Updates the client details (NIT, address, phone, email, notes), or
+     * replaces the whole client with an entry of the client directory.
+     * @param {Object} details - Client fields to update (see {@link QuoteState#client})
+     */
+    setClientDetails(details) {
+        this.recordChange('setClient');
+        this.client = {
+            ...this.client,
+            ...details,
+            lastModified: new Date()
+        };
+        this.updateMetadata();
+        this.emit(STATE_EVENTS.CLIENT_CHANGED, { client: this.client });
     }
 
     /**
@@ -143,29 +542,218 @@ export class QuoteState {
         return this.client.name;
     }
 
+    /**
+     * Sets the quote number shown to the customer
+     * @param {string} number - Quote number
+     */
+    setQuoteNumber(number) {
+        this.metadata.number = number;
+        this.updateMetadata();
+        this.emit(STATE_EVENTS.QUOTE_CHANGED, { field: 'number' });
+    }
+
+    /**
+     * Gets the quote number, empty if none has been assigned yet
+     * @returns {string} Quote number
+     */
+    getQuoteNumber() {
+        return this.metadata.number || '';
+    }
+
+    /**
+     * Sets the issue date of the quote
+     * @param {Date} date - Issue date; only its day is kept
+     */
+    setIssueDate(date) {
+        this.metadata.issueDate = startOfDay(date);
+        this.updateMetadata();
+        this.emit(STATE_EVENTS.QUOTE_CHANGED, { field: 'issueDate' });
+    }
+
+    /**
+     * Sets the promised delivery date of the quote
+     * @param {?Date} date - Delivery date, of which only the day is kept, or null if it is to be agreed
+     */
+    setDeliveryDate(date) {
+        this.metadata.deliveryDate = date ? startOfDay(date) : null;
+        this.updateMetadata();
+        this.emit(STATE_EVENTS.QUOTE_CHANGED, { field: 'deliveryDate' });
+    }
+
+    /**
+     * Replaces the observation lines of the quote
+     * @param {string[]} lines - Observation lines, which may hold placeholders
+     */
+    setObservations(lines) {
+        this.observations = [...lines];
+        this.updateMetadata();
+        this.emit(STATE_EVENTS.QUOTE_CHANGED, { field: 'observations' });
+    }
+
+    /**
+     * Sets how many days the quote is valid after its issue date
+     * @param {number} days - Validity in days
+     */
+    setValidityDays(days) {
+        this.metadata.validityDays = days;
+        this.updateMetadata();
+        this.emit(STATE_EVENTS.QUOTE_CHANGED, { field: 'validityDays' });
+    }
+
+    /**
+     * Sets the company profile (branch) issuing the quote
+     * @param {?string} companyId - ID of the profile (see {@link CompanyStorage}), or null for the first one
+     */
+    setCompany(companyId) {
+        this.metadata.companyId = companyId || null;
+        this.updateMetadata();
+        this.emit(STATE_EVENTS.QUOTE_CHANGED, { field: 'company' });
+    }
+
+    /**
+     * Gets the last day the quote is valid
+     * @returns {Date} Expiry date (start of the day)
+     */
+    getExpiryDate() {
+        const { issueDate, validityDays } = this.metadata;
+        return new Date(issueDate.getFullYear(), issueDate.getMonth(), issueDate.getDate() + validityDays);
+    }
+
+    /**
+     * Sets the status of the quote
+     * @param {string} status - One of {@link QUOTE_STATUS}, except EXPIRED
+     */
+    setStatus(status) {
+        this.metadata.status = status;
+        this.updateMetadata();
+        this.emit(STATE_EVENTS.QUOTE_CHANGED, { field: 'status' });
+    }
+
+    /**
+     * Gets the status of the quote on a date: drafts and sent quotes are
+     * expired once the day after their expiry date has started
+     * @param {Date} [date=new Date()] - Date to evaluate
+     * @returns {string} One of {@link QUOTE_STATUS}
+     */
+    getStatus(date = new Date()) {
+        const { status } = this.metadata;
+        const pending = status === QUOTE_STATUS.DRAFT || status === QUOTE_STATUS.SENT;
+        return pending && startOfDay(date) > this.getExpiryDate() ? QUOTE_STATUS.EXPIRED : status;
+    }
+
+    /**
+     * Checks whether the document is a quote, rather than a document created from one
+     * @returns {boolean} True for quotes
+     */
+    isQuote() {
+        return this.metadata.documentType === QUOTE_DOCUMENT;
+    }
+
+    /**
+     * Creates a sales order or proforma invoice from this quote. The quote is
+     * not modified: the new document copies its client, taxes, discount,
+     * currency, observations, delivery date and the lines whose quantity is
+     * above zero, references the quote, and starts accepted, issued today and
+     * without a number of its own.
+     * @param {string} type - 'pedido' or 'proforma'
+     * @param {Object.<string, number>} [quantities={}] - Quantity of each product by ID; missing products keep the quoted quantity
+     * @returns {QuoteState} The new document
+     */
+    createOrder(type, quantities = {}) {
+        const data = this.toJSON();
+        return QuoteState.fromJSON({
+            ...data,
+            id: null,
+            products: data.products
+                .map(product => ({ ...product, cantidad: quantities[product.id] ?? product.cantidad }))
+                .filter(product => product.cantidad > 0),
+            metadata: {
+                documentType: type,
+                source: { id: this.id, number: this.getQuoteNumber() },
+                companyId: this.metadata.companyId,
+                deliveryDate: data.metadata.deliveryDate,
+                status: QUOTE_STATUS.ACCEPTED
+            }
+        });
+    }
+
     /**
      * Clears all products from the quote
      */
     clearProducts() {
+        this.recordChange('clearProducts');
         this.products = [];
         this.updateMetadata();
+        this.emit(STATE_EVENTS.PRODUCTS_REPLACED, { products: this.products });
+    }
+
+    /**
+     * Whether there is a change to undo
+     * @returns {boolean} True if {@link QuoteState#undo} would change the quote
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Whether there is an undone change to redo
+     * @returns {boolean} True if {@link QuoteState#redo} would change the quote
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Gets the most recent change that can be undone
+     * @returns {?{action: string}} The change, or null if there is none
+     */
+    getLastChange() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    /**
+     * Undoes the most recent change to the products or the client
+     * @returns {?string} Action undone ('addProduct', 'removeProduct', 'updateProduct',
+     * 'setClient' or 'clearProducts'), or null if there was nothing to undo
+     */
+    undo() {
+        return this.restoreChange(this.undoStack, this.redoStack);
+    }
+
+    /**
+     * Redoes the most recently undone change
+     * @returns {?string} Action redone, or null if there was nothing to redo
+     */
+    redo() {
+        return this.restoreChange(this.redoStack, this.undoStack);
     }
 
     /**
      * Resets the entire state
      */
     reset() {
+        this.id = this.generateQuoteId();
         this.products = [];
-        this.quoteCounter = 1;
-        this.client = {
-            name: '',
-            lastModified: null
-        };
-        this.metadata = {
-            created: new Date(),
-            lastModified: new Date(),
-            version: '1.0'
+        this.client = createClient();
+        this.tax = {
+            ...TAX,
+            clientExempt: false
         };
+        this.discount = null;
+        this.groupByCategory = false;
+        this.currency = createCurrency();
+        this.observations = [...QUOTE_OBSERVATIONS];
+        this.metadata = createMetadata();
+        this.clearHistory();
+        this.emitLoaded();
+    }
+
+    /**
+     * Forgets the changes that could be undone or redone
+     */
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
     }
 
     /**
@@ -175,14 +763,107 @@ export class QuoteState {
     getSnapshot() {
         return {
             products: [...this.products],
-            quoteCounter: this.quoteCounter,
             client: { ...this.client },
+            tax: { ...this.tax },
+            discount: this.discount ? { ...this.discount } : null,
+            groupByCategory: this.groupByCategory,
+            currency: { ...this.currency },
+            observations: [...this.observations],
             metadata: { ...this.metadata },
+            status: this.getStatus(),
+            expiryDate: this.getExpiryDate(),
+            totals: this.getTotals(),
             total: this.getTotal(),
             totalItems: this.getTotalItems()
         };
     }
 
+    /**
+     * Serializes the state into a plain object that can be stored or sent as JSON.
+     * Dates are converted to ISO strings.
+     * @returns {Object} Serialized state
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            products: this.products.map(product => ({
+                ...product,
+                addedAt: toISOString(product.addedAt),
+                modifiedAt: toISOString(product.modifiedAt)
+            })),
+            client: {
+                ...this.client,
+                lastModified: toISOString(this.client.lastModified)
+            },
+            tax: { ...this.tax },
+            discount: this.discount ? { ...this.discount } : null,
+            groupByCategory: this.groupByCategory,
+            currency: { ...this.currency },
+            observations: [...this.observations],
+            metadata: {
+                ...this.metadata,
+                created: toISOString(this.metadata.created),
+                lastModified: toISOString(this.metadata.lastModified),
+                issueDate: toISOString(this.metadata.issueDate),
+                deliveryDate: toISOString(this.metadata.deliveryDate)
+            }
+        };
+    }
+
+    /**
+     * Replaces the current state with previously serialized data.
+     * @param {Object} data - Object produced by {@link QuoteState#toJSON}
+     * @returns {QuoteState} This instance, for chaining
+     */
+    loadJSON(data) {
+        this.id = data.id || this.generateQuoteId();
+        this.products = (data.products || []).map(product => ({
+            ...product,
+            id: product.id || this.generateProductId(),
+            addedAt: toDate(product.addedAt),
+            modifiedAt: toDate(product.modifiedAt)
+        }));
+        this.client = {
+            ...createClient(),
+            ...data.client,
+            lastModified: toDate(data.client?.lastModified)
+        };
+        this.tax = {
+            ...TAX,
+            clientExempt: false,
+            ...data.tax
+        };
+        this.discount = data.discount || null;
+        this.groupByCategory = Boolean(data.groupByCategory);
+        this.currency = {
+            ...createCurrency(),
+            ...data.currency
+        };
+        this.observations = Array.isArray(data.observations) ? [...data.observations] : [...QUOTE_OBSERVATIONS];
+        const created = toDate(data.metadata?.created) || new Date();
+        this.metadata = {
+            ...createMetadata(),
+            ...data.metadata,
+            created,
+            lastModified: toDate(data.metadata?.lastModified) || new Date(),
+            issueDate: startOfDay(data.metadata?.issueDate || created),
+            deliveryDate: data.metadata?.deliveryDate ? startOfDay(data.metadata.deliveryDate) : null
+        };
+        this.clearHistory();
+        this.emitLoaded();
+        return this;
+    }
+
+    /**
+     * Creates a new QuoteState from previously serialized data.
+     * @static
+     * @param {Object} data - Object produced by {@link QuoteState#toJSON}
+     * @returns {QuoteState} The restored state
+     */
+    static fromJSON(data) {
+        return new QuoteState().loadJSON(data);
+    }
+
     /**
      * Validates the current state
      * @returns {Object} Validation result
@@ -226,6 +907,85 @@ export class QuoteState {
         return `prod_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
+    /**
+     * Generates a unique quote ID
+     * @private
+     * @returns {string} Unique ID
+     */
+    generateQuoteId() {
+        return `quote_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Copies the products and the client, the parts of the quote that can be undone
+     * @private
+     * @param {string} action - Name of the change the copy is taken for
+     * @returns {{action: string, products: Object[], client: Object}} History entry
+     */
+    createHistoryEntry(action) {
+        return {
+            action,
+            products: this.products.map(product => ({ ...product })),
+            client: { ...this.client }
+        };
+    }
+
+    /**
+     * Records the products and client before a change so it can be undone.
+     * A new change discards the undone changes.
+     * @private
+     * @param {string} action - Name of the change
+     */
+    recordChange(action) {
+        this.undoStack.push(this.createHistoryEntry(action));
+        if (this.undoStack.length > HISTORY_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Moves a change from one history stack to the other, restoring the
+     * products and client it kept.
+     * @private
+     * @param {Array<Object>} from - Stack to take the change from
+     * @param {Array<Object>} to - Stack receiving the current products and client
+     * @returns {?string} Action of the change, or null if the stack was empty
+     */
+    restoreChange(from, to) {
+        const entry = from.pop();
+        if (!entry) return null;
+
+        to.push(this.createHistoryEntry(entry.action));
+        this.products = entry.products;
+        this.client = entry.client;
+        this.updateMetadata();
+        this.emit(STATE_EVENTS.PRODUCTS_REPLACED, { products: this.products });
+        this.emit(STATE_EVENTS.CLIENT_CHANGED, { client: this.client });
+        return entry.action;
+    }
+
+    /**
+     * Calls the listeners of an event, then the listeners of any change
+     * @private
+     * @param {string} type - One of {@link STATE_EVENTS}
+     * @param {Object} detail - Event details (see {@link QuoteState#on})
+     */
+    emit(type, detail) {
+        [...(this.listeners.get(type) || [])].forEach(listener => listener(detail));
+        [...(this.listeners.get(STATE_EVENTS.CHANGE) || [])].forEach(listener => listener({ ...detail, type }));
+    }
+
+    /**
+     * Tells the listeners that the whole quote was replaced
+     * @private
+     */
+    emitLoaded() {
+        this.emit(STATE_EVENTS.PRODUCTS_REPLACED, { products: this.products });
+        this.emit(STATE_EVENTS.CLIENT_CHANGED, { client: this.client });
+        this.emit(STATE_EVENTS.QUOTE_CHANGED, { field: null });
+    }
+
     /**
      * Updates the metadata timestamp
      * @private
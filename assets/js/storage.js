@@ -0,0 +1,424 @@
+/**
+ * @module storage
+ * @description Local persistence of quotes, clients and the product catalog using IndexedDB.
+ */
+
+import { QuoteState } from './state.js';
+
+const DB_NAME = 'cotishama';
+const DB_VERSION = 7;
+
+/**
+ * Names of the object stores in the database.
+ * @constant {Object}
+ */
+export const STORES = {
+    QUOTES: 'quotes',
+    COUNTERS: 'counters',
+    CLIENTS: 'clients',
+    CATALOG: 'catalog',
+    COMPANIES: 'companies',
+    EXCHANGE_RATES: 'exchangeRates',
+    TEMPLATES: 'observationTemplates'
+};
+
+/**
+ * Thin promise-based wrapper around the application's IndexedDB database.
+ */
+export class Database {
+    /**
+     * Cached connection promise, shared by every store.
+     * @type {?Promise<IDBDatabase>}
+     * @static
+     * @private
+     */
+    static connection = null;
+
+    /**
+     * Opens (and upgrades if needed) the database.
+     * @static
+     * @returns {Promise<IDBDatabase>} The open database
+     */
+    static open() {
+        if (!this.connection) {
+            this.connection = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not supported in this browser'));
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    const quotes = db.objectStoreNames.contains(STORES.QUOTES)
+                        ? request.transaction.objectStore(STORES.QUOTES)
+                        : db.createObjectStore(STORES.QUOTES, { keyPath: 'id' });
+                    if (!quotes.indexNames.contains('updatedAt')) {
+                        quotes.createIndex('updatedAt', 'updatedAt');
+                    }
+                    if (!quotes.indexNames.contains('number')) {
+                        quotes.createIndex('number', 'number');
+                    }
+                    if (!db.objectStoreNames.contains(STORES.COUNTERS)) {
+                        db.createObjectStore(STORES.COUNTERS, { keyPath: 'key' });
+                    }
+                    if (!db.objectStoreNames.contains(STORES.CLIENTS)) {
+                        db.createObjectStore(STORES.CLIENTS, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(STORES.CATALOG)) {
+                        db.createObjectStore(STORES.CATALOG, { keyPath: 'key' });
+                    }
+                    if (!db.objectStoreNames.contains(STORES.COMPANIES)) {
+                        db.createObjectStore(STORES.COMPANIES, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(STORES.EXCHANGE_RATES)) {
+                        db.createObjectStore(STORES.EXCHANGE_RATES, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(STORES.TEMPLATES)) {
+                        db.createObjectStore(STORES.TEMPLATES, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.connection;
+    }
+
+    /**
+     * Runs an operation against an object store inside its own transaction.
+     * @static
+     * @param {string} storeName - Name of the object store
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+     * @param {function(IDBObjectStore): (IDBRequest|void)} operation - Receives the store and may return a request
+     * @returns {Promise<*>} Result of the returned request once the transaction completes
+     */
+    static async withStore(storeName, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+/**
+ * Stores every quote locally so it survives reloads and can be reopened later.
+ */
+export class QuoteStorage {
+    /**
+     * Saves (inserts or replaces) a quote.
+     * @param {QuoteState} state - Quote to persist
+     * @returns {Promise<Object>} The stored record
+     */
+    async saveQuote(state) {
+        const data = state.toJSON();
+        const record = {
+            id: data.id,
+            number: data.metadata.number || '',
+            clientName: data.client.name,
+            documentType: data.metadata.documentType,
+            total: state.getTotal(),
+            currency: data.currency.code,
+            status: state.getStatus(),
+            expiresAt: state.getExpiryDate().toISOString(),
+            createdAt: data.metadata.created,
+            updatedAt: data.metadata.lastModified,
+            data
+        };
+
+        await Database.withStore(STORES.QUOTES, 'readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Retrieves a stored quote record by its ID.
+     * @param {string} id - Quote ID
+     * @returns {Promise<?Object>} The record, or null if not found
+     */
+    async getQuote(id) {
+        const record = await Database.withStore(STORES.QUOTES, 'readonly', store => store.get(id));
+        return record || null;
+    }
+
+    /**
+     * Finds the stored quotes with a number.
+     * @param {string} number - Quote number
+     * @returns {Promise<string[]>} IDs of the quotes with that number
+     */
+    async getQuoteIdsByNumber(number) {
+        return Database.withStore(STORES.QUOTES, 'readonly', store => store.index('number').getAllKeys(number));
+    }
+
+    /**
+     * Lists all stored quotes, most recently modified first. The `status` of
+     * each record is evaluated for today, so quotes whose validity lapsed
+     * after they were saved are listed as expired.
+     * @returns {Promise<Object[]>} Quote records
+     */
+    async getAllQuotes() {
+        const records = await Database.withStore(STORES.QUOTES, 'readonly', store => store.getAll());
+        return records
+            .map(record => ({ ...record, status: QuoteState.fromJSON(record.data).getStatus() }))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Searches stored quotes by client name or quote number and by creation date.
+     * @param {Object} [criteria={}] - Search criteria
+     * @param {string} [criteria.text=''] - Text contained in the client name or quote number
+     * @param {string} [criteria.date=''] - Creation date as YYYY-MM-DD (local time)
+     * @param {string} [criteria.status=''] - Current status (see {@link QUOTE_STATUS})
+     * @returns {Promise<Object[]>} Matching quote records
+     */
+    async searchQuotes({ text = '', date = '', status = '' } = {}) {
+        const query = text.trim().toUpperCase();
+        const records = await this.getAllQuotes();
+
+        return records.filter(record => {
+            const matchesText = !query ||
+                record.clientName.toUpperCase().includes(query) ||
+                record.number.toUpperCase().includes(query);
+            const matchesDate = !date || toLocalDateKey(record.createdAt) === date;
+            const matchesStatus = !status || record.status === status;
+            return matchesText && matchesDate && matchesStatus;
+        });
+    }
+
+    /**
+     * Deletes a stored quote.
+     * @param {string} id - Quote ID
+     * @returns {Promise<void>}
+     */
+    async deleteQuote(id) {
+        await Database.withStore(STORES.QUOTES, 'readwrite', store => store.delete(id));
+    }
+}
+
+/**
+ * Stores the client directory: the clients that can be picked for a quote.
+ */
+export class ClientStorage {
+    /**
+     * Saves (inserts or replaces) a client. Clients without an ID get a new one.
+     * @param {Object} client - Client with name, nit, address, phone, email and notes
+     * @returns {Promise<Object>} The stored record
+     */
+    async saveClient(client) {
+        const record = {
+            id: client.id || `client_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+            name: client.name,
+            nit: client.nit || '',
+            address: client.address || '',
+            phone: client.phone || '',
+            email: client.email || '',
+            notes: client.notes || '',
+            updatedAt: new Date().toISOString()
+        };
+
+        await Database.withStore(STORES.CLIENTS, 'readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Lists all clients sorted by name.
+     * @returns {Promise<Object[]>} Client records
+     */
+    async getAllClients() {
+        const records = await Database.withStore(STORES.CLIENTS, 'readonly', store => store.getAll());
+        return records.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Deletes a client from the directory. Quotes keep the details they were made with.
+     * @param {string} id - Client ID
+     * @returns {Promise<void>}
+     */
+    async deleteClient(id) {
+        await Database.withStore(STORES.CLIENTS, 'readwrite', store => store.delete(id));
+    }
+}
+
+/**
+ * Stores the product catalog imported by the user, which replaces the
+ * catalog bundled with the application until it is restored.
+ */
+export class CatalogStorage {
+    /**
+     * Gets the imported catalog.
+     * @returns {Promise<?{items: Object[], importedAt: string}>} The catalog, or null if none was imported
+     */
+    async getCatalog() {
+        const record = await Database.withStore(STORES.CATALOG, 'readonly', store => store.get('products'));
+        return record || null;
+    }
+
+    /**
+     * Replaces the imported catalog.
+     * @param {Object[]} items - Catalog entries
+     * @returns {Promise<Object>} The stored record
+     */
+    async saveCatalog(items) {
+        const record = { key: 'products', items, importedAt: new Date().toISOString() };
+        await Database.withStore(STORES.CATALOG, 'readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Deletes the imported catalog, going back to the bundled one.
+     * @returns {Promise<void>}
+     */
+    async deleteCatalog() {
+        await Database.withStore(STORES.CATALOG, 'readwrite', store => store.delete('products'));
+    }
+}
+
+/**
+ * Stores the company profiles: one per branch, each printed with its own
+ * name, NIT, contact details, logo, footer text and brand color.
+ */
+export class CompanyStorage {
+    /**
+     * Saves (inserts or replaces) a company profile. Profiles without an ID get a new one.
+     * @param {Object} company - Profile with name, nit, address, phones, email, logo
+     * (URL or data URL), footer and color (see {@link COMPANY})
+     * @returns {Promise<Object>} The stored record
+     */
+    async saveCompany(company) {
+        const record = {
+            id: company.id || `company_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+            name: company.name,
+            nit: company.nit || '',
+            address: company.address || '',
+            phones: company.phones || '',
+            email: company.email || '',
+            logo: company.logo || '',
+            footer: company.footer || '',
+            color: company.color || '',
+            updatedAt: new Date().toISOString()
+        };
+
+        await Database.withStore(STORES.COMPANIES, 'readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Lists all company profiles sorted by name.
+     * @returns {Promise<Object[]>} Company records
+     */
+    async getAllCompanies() {
+        const records = await Database.withStore(STORES.COMPANIES, 'readonly', store => store.getAll());
+        return records.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Deletes a company profile. Quotes made with it are printed with the first remaining profile.
+     * @param {string} id - Company ID
+     * @returns {Promise<void>}
+     */
+    async deleteCompany(id) {
+        await Database.withStore(STORES.COMPANIES, 'readwrite', store => store.delete(id));
+    }
+}
+
+/**
+ * Stores the exchange rates of the other currencies: the amount of the base
+ * currency per unit of a currency, effective from a date.
+ */
+export class ExchangeRateStorage {
+    /**
+     * Saves (inserts or replaces) an exchange rate. Rates without an ID get a new one.
+     * @param {{id: ?string, currency: string, rate: number, effectiveDate: string}} rate - Currency code,
+     * rate and first day it applies (YYYY-MM-DD)
+     * @returns {Promise<Object>} The stored record
+     */
+    async saveRate(rate) {
+        const record = {
+            id: rate.id || `rate_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+            currency: rate.currency,
+            rate: rate.rate,
+            effectiveDate: rate.effectiveDate,
+            updatedAt: new Date().toISOString()
+        };
+
+        await Database.withStore(STORES.EXCHANGE_RATES, 'readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Lists all exchange rates by currency, the most recent first.
+     * @returns {Promise<Object[]>} Exchange rate records
+     */
+    async getAllRates() {
+        const records = await Database.withStore(STORES.EXCHANGE_RATES, 'readonly', store => store.getAll());
+        return records.sort((a, b) => a.currency.localeCompare(b.currency) || b.effectiveDate.localeCompare(a.effectiveDate));
+    }
+
+    /**
+     * Deletes an exchange rate. Quotes keep the rate they were converted with.
+     * @param {string} id - Exchange rate ID
+     * @returns {Promise<void>}
+     */
+    async deleteRate(id) {
+        await Database.withStore(STORES.EXCHANGE_RATES, 'readwrite', store => store.delete(id));
+    }
+}
+
+/**
+ * Stores the library of observation templates (terms of delivery, payment,
+ * warranty…) that can be added to the observations of a quote.
+ */
+export class TemplateStorage {
+    /**
+     * Saves (inserts or replaces) a template. Templates without an ID get a new one.
+     * @param {{id: ?string, title: string, text: string}} template - Title and text, which may hold placeholders
+     * @returns {Promise<Object>} The stored record
+     */
+    async saveTemplate(template) {
+        const record = {
+            id: template.id || `template_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+            title: template.title,
+            text: template.text,
+            updatedAt: new Date().toISOString()
+        };
+
+        await Database.withStore(STORES.TEMPLATES, 'readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Lists all templates sorted by title.
+     * @returns {Promise<Object[]>} Template records
+     */
+    async getAllTemplates() {
+        const records = await Database.withStore(STORES.TEMPLATES, 'readonly', store => store.getAll());
+        return records.sort((a, b) => a.title.localeCompare(b.title));
+    }
+
+    /**
+     * Deletes a template. Quotes keep the observations added from it.
+     * @param {string} id - Template ID
+     * @returns {Promise<void>}
+     */
+    async deleteTemplate(id) {
+        await Database.withStore(STORES.TEMPLATES, 'readwrite', store => store.delete(id));
+    }
+}
+
+/**
+ * Formats an ISO date string as a local YYYY-MM-DD key, matching `<input type="date">` values.
+ * @param {string} isoDate - ISO date string
+ * @returns {string} Local date key
+ */
+function toLocalDateKey(isoDate) {
+    const date = new Date(isoDate);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
@@ -2,7 +2,7 @@
  * @classdesc Represents a node in a Trie data structure.
  * Each node can hold multiple children, one for each character.
  * It also tracks whether it is the end of a word, the word itself,
- * the word’s insertion frequency, and a popularity score.
+ * the entries indexed under it, the word’s insertion frequency, and a popularity score.
  */
 class TrieNode {
     /**
@@ -28,6 +28,14 @@ class TrieNode {
          */
         this.word = null;
 
+        /**
+         * @type {Set<string>}
+         * @description The original entries indexed under the word ending at this node.
+         * Without tokenization this only holds the word itself; with tokenization it also
+         * holds every entry in which the word appears as a trailing sequence of words.
+         */
+        this.targets = new Set();
+
         /**
          * @type {number}
          * @description Tracks how many times the word was inserted into the Trie.
@@ -45,14 +53,21 @@ class TrieNode {
 /**
  * @classdesc A Trie data structure supporting efficient word insertions, lookups, 
  * and prefix-based queries. Includes caching for autocomplete operations.
+ * When tokenization is enabled, multi-word entries can also be found by
+ * any of their words, not only by their first one.
+ * Matching ignores accents and other diacritics, while suggestions keep
+ * the entries exactly as they were inserted.
  */
 export class Trie {
     /**
      * Creates a new Trie instance.
      * @constructor
      * @param {string[]} [initialWords=[]] - An optional array of words to pre-populate the Trie.
+     * @param {Object} [options={}] - Options to configure the Trie.
+     * @param {boolean} [options.tokenize=false] - Whether to index every word of multi-word entries,
+     * so that 'concreto' or 'broca con' match 'broca para concreto'.
      */
-    constructor(initialWords = []) {
+    constructor(initialWords = [], options = {}) {
         /**
          * @type {TrieNode}
          * @description The root node of the Trie.
@@ -72,21 +87,56 @@ export class Trie {
          */
         this.maxCacheSize = 1000;
 
+        /**
+         * @type {boolean}
+         * @description Whether every word of multi-word entries is indexed.
+         */
+        this.tokenize = options.tokenize || false;
+
+        /**
+         * @type {Map<string, number>}
+         * @description How many times each entry was inserted into the Trie.
+         */
+        this.frequencies = new Map();
+
+        /**
+         * @type {Map<string, number>}
+         * @description Ranking weight of each entry (e.g. learned from usage).
+         * Entries without a weight rank as if it were 0.
+         */
+        this.weights = new Map();
+
         // Insert initial words if provided.
         initialWords.forEach(word => this.insert(word.toLowerCase()));
     }
 
     /**
-     * Inserts a word into the Trie (case-insensitive).
+     * Inserts a word into the Trie (case- and accent-insensitive). When tokenizing, the word is
+     * also indexed by each of its trailing word sequences.
      * @param {string} word - The word to insert into the Trie.
      * @example
      * trie.insert('Hello');
      * trie.insert('world');
      */
     insert(word) {
+        const keys = this.tokenize ? Trie.getWordSequences(word) : [word];
+        keys.forEach(key => this.insertKey(key, word));
+        this.frequencies.set(word, (this.frequencies.get(word) || 0) + 1);
+
+        // Clear the autocomplete cache whenever a new word is inserted
+        this.cache.clear();
+    }
+
+    /**
+     * Stores a key in the Trie, indexing the given entry under it.
+     * @private
+     * @param {string} key - The key to store (the entry or one of its trailing word sequences).
+     * @param {string} target - The entry the key belongs to.
+     */
+    insertKey(key, target) {
         let current = this.root;
 
-        for (const char of word.toLowerCase()) {
+        for (const char of Trie.normalize(key).toLowerCase()) {
             if (!current.children[char]) {
                 current.children[char] = new TrieNode();
             }
@@ -97,16 +147,81 @@ export class Trie {
         }
 
         current.isEndOfWord = true;
-        current.word = word;
+        current.word = key;
         current.frequency++;
+        current.targets.add(target);
+    }
 
-        // Clear the autocomplete cache whenever a new word is inserted
+    /**
+     * Sets the ranking weight of an entry. Entries with a higher weight are
+     * suggested before the rest, regardless of where the query matches them.
+     * @param {string} word - The entry, as it was inserted.
+     * @param {number} weight - The weight (0 removes it).
+     * @example
+     * trie.setWeight('taladro eléctrico', 3.5);
+     */
+    setWeight(word, weight) {
+        if (weight > 0) {
+            this.weights.set(word, weight);
+        } else {
+            this.weights.delete(word);
+        }
         this.cache.clear();
     }
 
+    /**
+     * Gets the ranking weight of an entry.
+     * @param {string} word - The entry, as it was inserted.
+     * @returns {number} The weight, 0 if it has none.
+     */
+    getWeight(word) {
+        return this.weights.get(word) || 0;
+    }
+
+    /**
+     * Removes the ranking weight of every entry.
+     */
+    clearWeights() {
+        this.weights.clear();
+        this.cache.clear();
+    }
+
+    /**
+     * Removes accents and other diacritics from a text so that it can be matched
+     * regardless of them: the text is decomposed (NFD) and its combining marks dropped.
+     * 'Ñ' is matched as 'N' as well, so names can be found from keyboards without it.
+     * @static
+     * @param {string} text - The text to normalize.
+     * @returns {string} The text without diacritics, in its original case.
+     * @example
+     * Trie.normalize('CINTA MÉTRICA'); // 'CINTA METRICA'
+     * Trie.normalize('Paño');          // 'Pano'
+     */
+    static normalize(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+
+    /**
+     * Gets the sequences of words an entry is indexed by when tokenizing:
+     * the entry itself followed by every sequence starting at one of its words.
+     * @static
+     * @param {string} text - The entry.
+     * @returns {string[]} The word sequences.
+     * @example
+     * Trie.getWordSequences('broca para concreto');
+     * // ['broca para concreto', 'para concreto', 'concreto']
+     */
+    static getWordSequences(text) {
+        const words = text.trim().split(/\s+/);
+        return words.map((_, i) => words.slice(i).join(' '));
+    }
+
     /**
      * Provides autocomplete suggestions for a given prefix, with ranking
-     * based on frequency, popularity, and word length.
+     * based on weight, frequency, popularity, and word length. Entries that start
+     * with the prefix are ranked before those matching by a later word.
+     * When tokenizing, each word of a multi-word prefix is matched on its own
+     * and only entries matching all of them are returned.
      *
      * @param {string} prefix - The prefix to match.
      * @param {Object} [options={}] - Options to configure the autocomplete behavior.
@@ -119,6 +234,7 @@ export class Trie {
      * @example
      * trie.autocomplete('ap');          // Returns up to 10 suggestions by default
      * trie.autocomplete('ap', { limit: 5, caseSensitive: true });
+     * trie.autocomplete('broca con');   // With tokenization, matches 'broca para concreto'
      */
     autocomplete(prefix, options = {}) {
         const {
@@ -128,68 +244,177 @@ export class Trie {
             maxWordLength = Infinity
         } = options;
 
-        const normalizedPrefix = caseSensitive ? prefix : prefix.toLowerCase();
-        const cacheKey = `autocomplete_${normalizedPrefix}`;
+        const normalizedPrefix = caseSensitive ? Trie.normalize(prefix) : Trie.normalize(prefix).toLowerCase();
+        const cacheKey = `autocomplete_${limit}_${minWordLength}_${maxWordLength}_${normalizedPrefix}`;
 
         // Return cached results if they exist
         if (this.cache.has(cacheKey)) {
             return this.cache.get(cacheKey);
         }
 
-        const suggestions = [];
+        const prefixes = this.tokenize ? normalizedPrefix.trim().split(/\s+/) : [normalizedPrefix];
+        const [first, ...rest] = prefixes.map(p => this.collectMatches(p));
+        const others = rest.map(matches => new Set(matches.map(m => m.word)));
+
+        // Keep the entries matched by every word of the prefix
+        const suggestions = first.filter(match =>
+            match.word.length >= minWordLength &&
+            match.word.length <= maxWordLength &&
+            others.every(words => words.has(match.word))
+        );
+
+        const rankedSuggestions = suggestions
+            .sort(compareMatches)
+            .map(s => s.word)
+            .slice(0, limit);
+
+        // Manage cache size and store the new result
+        if (this.cache.size >= this.maxCacheSize) {
+            // Remove the oldest entry (Map in insertion order)
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(cacheKey, rankedSuggestions);
+
+        return rankedSuggestions;
+    }
+
+    /**
+     * Collects the entries indexed under any word starting with the given prefix.
+     * @private
+     * @param {string} prefix - The (already normalized) prefix to match.
+     * @returns {Array<{word: string, weight: number, atStart: boolean, frequency: number, popularity: number}>}
+     * One match per entry, unranked.
+     */
+    collectMatches(prefix) {
+        const matches = new Map();
         let current = this.root;
 
         // Traverse down the Trie to the node corresponding to the prefix
-        for (const char of normalizedPrefix) {
+        for (const char of prefix) {
             if (!current.children[char]) {
-                // No matching prefix found; return an empty array
-                return suggestions;
+                // No matching prefix found
+                return [];
             }
             current = current.children[char];
         }
 
-        // Helper function to perform DFS from the prefix node to collect suggestions
-        const collectSuggestions = (node, currentWord) => {
+        // Helper function to perform DFS from the prefix node to collect matches
+        const collect = (node) => {
             if (node.isEndOfWord) {
-                const wordLength = currentWord.length;
-                if (wordLength >= minWordLength && wordLength <= maxWordLength) {
-                    suggestions.push({
-                        word: node.word,
-                        frequency: node.frequency,
-                        popularity: node.popularity
-                    });
-                }
+                node.targets.forEach(target => this.addMatch(matches, node, target));
             }
 
             // Recursively collect from child nodes
-            for (const [char, childNode] of Object.entries(node.children)) {
-                collectSuggestions(childNode, currentWord + char);
-            }
+            Object.values(node.children).forEach(collect);
         };
 
-        // Gather all potential suggestions from this prefix
-        collectSuggestions(current, normalizedPrefix);
+        collect(current);
+        return [...matches.values()];
+    }
 
-        // Rank the suggestions:
-        // 1) frequency (descending),
-        // 2) popularity (descending),
-        // 3) word length (ascending).
-        const rankedSuggestions = suggestions
-            .sort((a, b) => {
-                if (a.frequency !== b.frequency) {
-                    return b.frequency - a.frequency;
+    /**
+     * Records an entry found at a node, keeping the best match when the entry
+     * is reached through more than one of its words.
+     * @private
+     * @param {Map<string, Object>} matches - Matches found so far, by entry.
+     * @param {TrieNode} node - The node where the entry was found.
+     * @param {string} target - The entry.
+     * @param {Object} [extra={}] - Additional match properties (e.g. `distance`).
+     */
+    addMatch(matches, node, target, extra = {}) {
+        const match = {
+            word: target,
+            weight: this.getWeight(target),
+            atStart: node.word === target,
+            frequency: this.frequencies.get(target) || 0,
+            popularity: node.popularity,
+            ...extra
+        };
+        const previous = matches.get(target);
+
+        if (!previous || compareMatches(match, previous) < 0) {
+            matches.set(target, match);
+        }
+    }
+
+    /**
+     * Provides typo-tolerant suggestions: words that start with a prefix within a
+     * bounded edit distance (insertions, deletions, substitutions and transpositions)
+     * of the query. Results are ranked by distance, then as in {@link Trie#autocomplete}.
+     *
+     * @param {string} query - The (possibly misspelled) prefix to match.
+     * @param {Object} [options={}] - Options to configure the search.
+     * @param {number} [options.limit=10] - Maximum number of suggestions to return.
+     * @param {number} [options.maxDistance] - Maximum number of typos allowed. Defaults to
+     * a value based on the query length (see {@link Trie.getMaxDistance}).
+     * @returns {string[]} An array of ranked suggestions.
+     *
+     * @example
+     * trie.fuzzySearch('taldro');                     // Matches 'taladro eléctrico'
+     * trie.fuzzySearch('destornilador', { limit: 5 }); // Matches 'destornillador phillips'
+     */
+    fuzzySearch(query, options = {}) {
+        const normalizedQuery = Trie.normalize(query).toLowerCase();
+        const {
+            limit = 10,
+            maxDistance = Trie.getMaxDistance(normalizedQuery.length)
+        } = options;
+
+        if (maxDistance <= 0) {
+            return this.autocomplete(normalizedQuery, { limit });
+        }
+
+        const cacheKey = `fuzzy_${limit}_${maxDistance}_${normalizedQuery}`;
+        if (this.cache.has(cacheKey)) {
+            return this.cache.get(cacheKey);
+        }
+
+        const queryChars = [...normalizedQuery];
+        const matches = new Map();
+        const firstRow = queryChars.map((_, i) => i + 1);
+        firstRow.unshift(0);
+
+        // Depth-first search keeping one row of the edit distance matrix per node.
+        // `best` is the smallest distance between the query and any prefix on the path.
+        const search = (node, char, previousChar, previousRow, beforePreviousRow, best) => {
+            const row = [previousRow[0] + 1];
+
+            for (let j = 1; j <= queryChars.length; j++) {
+                const cost = queryChars[j - 1] === char ? 0 : 1;
+                let distance = Math.min(
+                    row[j - 1] + 1,
+                    previousRow[j] + 1,
+                    previousRow[j - 1] + cost
+                );
+                if (beforePreviousRow && j > 1 && queryChars[j - 1] === previousChar && queryChars[j - 2] === char) {
+                    distance = Math.min(distance, beforePreviousRow[j - 2] + 1);
                 }
-                if (a.popularity !== b.popularity) {
-                    return b.popularity - a.popularity;
+                row.push(distance);
+            }
+
+            const currentBest = Math.min(best, row[queryChars.length]);
+
+            if (node.isEndOfWord && currentBest <= maxDistance) {
+                node.targets.forEach(target => this.addMatch(matches, node, target, { distance: currentBest }));
+            }
+
+            if (currentBest <= maxDistance || Math.min(...row) <= maxDistance) {
+                for (const [childChar, childNode] of Object.entries(node.children)) {
+                    search(childNode, childChar, char, row, previousRow, currentBest);
                 }
-                return a.word.length - b.word.length;
-            })
+            }
+        };
+
+        for (const [char, childNode] of Object.entries(this.root.children)) {
+            search(childNode, char, null, firstRow, null, Infinity);
+        }
+
+        const rankedSuggestions = [...matches.values()]
+            .sort(compareMatches)
             .map(s => s.word)
             .slice(0, limit);
 
-        // Manage cache size and store the new result
         if (this.cache.size >= this.maxCacheSize) {
-            // Remove the oldest entry (Map in insertion order)
             this.cache.delete(this.cache.keys().next().value);
         }
         this.cache.set(cacheKey, rankedSuggestions);
@@ -198,7 +423,24 @@ export class Trie {
     }
 
     /**
-     * Searches for a full word in the Trie (case-insensitive).
+     * Gets the number of typos tolerated for a query of the given length:
+     * none for very short queries, one for medium ones and two for long ones.
+     * @static
+     * @param {number} length - Length of the query.
+     * @returns {number} Maximum edit distance.
+     * @example
+     * Trie.getMaxDistance(3); // 0
+     * Trie.getMaxDistance(6); // 1
+     * Trie.getMaxDistance(9); // 2
+     */
+    static getMaxDistance(length) {
+        if (length < 4) return 0;
+        if (length < 8) return 1;
+        return 2;
+    }
+
+    /**
+     * Searches for a full word in the Trie (case- and accent-insensitive).
      * @param {string} word - The word to search for.
      * @returns {boolean} `true` if the word exists in the Trie; otherwise, `false`.
      * @example
@@ -207,7 +449,7 @@ export class Trie {
     search(word) {
         let current = this.root;
 
-        for (const char of word.toLowerCase()) {
+        for (const char of Trie.normalize(word).toLowerCase()) {
             if (!current.children[char]) {
                 return false;
             }
@@ -218,7 +460,7 @@ export class Trie {
     }
 
     /**
-     * Checks if the Trie contains any word starting with the given prefix (case-insensitive).
+     * Checks if the Trie contains any word starting with the given prefix (case- and accent-insensitive).
      * @param {string} prefix - The prefix to check.
      * @returns {boolean} `true` if there is at least one word with the given prefix; otherwise, `false`.
      * @example
@@ -227,7 +469,7 @@ export class Trie {
     startsWith(prefix) {
         let current = this.root;
 
-        for (const char of prefix.toLowerCase()) {
+        for (const char of Trie.normalize(prefix).toLowerCase()) {
             if (!current.children[char]) {
                 return false;
             }
@@ -252,7 +494,7 @@ export class Trie {
     }
 
     /**
-     * Inserts multiple words into the Trie in bulk (case-insensitive).
+     * Inserts multiple words into the Trie in bulk (case- and accent-insensitive).
      * @param {string[]} words - An array of words to insert.
      * @example
      * trie.bulkInsert(['apple', 'app', 'application']);
@@ -261,3 +503,34 @@ export class Trie {
         words.forEach(word => this.insert(word));
     }
 }
+
+/**
+ * Compares two matches for ranking:
+ * 1) edit distance (ascending, typo-tolerant matches only),
+ * 2) weight (descending),
+ * 3) entries starting with the query first,
+ * 4) frequency (descending),
+ * 5) popularity (descending),
+ * 6) word length (ascending).
+ * @param {Object} a - First match.
+ * @param {Object} b - Second match.
+ * @returns {number} Negative if `a` ranks first, positive if `b` does.
+ */
+function compareMatches(a, b) {
+    if ((a.distance || 0) !== (b.distance || 0)) {
+        return (a.distance || 0) - (b.distance || 0);
+    }
+    if (a.weight !== b.weight) {
+        return b.weight - a.weight;
+    }
+    if (a.atStart !== b.atStart) {
+        return a.atStart ? -1 : 1;
+    }
+    if (a.frequency !== b.frequency) {
+        return b.frequency - a.frequency;
+    }
+    if (a.popularity !== b.popularity) {
+        return b.popularity - a.popularity;
+    }
+    return a.word.length - b.word.length;
+}
\ No newline at end of file
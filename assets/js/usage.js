@@ -0,0 +1,81 @@
+import { STORAGE_KEYS, USAGE } from './constants.js';
+
+/**
+ * Milliseconds in a day.
+ * @constant {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Static class keeping track, in localStorage, of how often and how recently
+ * each catalog product has been added to a quote, so that the autocomplete
+ * can suggest the products sold every day first.
+ *
+ * Each product has a weight that grows by one with every use and decays with
+ * the half-life defined in {@link USAGE}, so recent uses count more than old ones.
+ */
+export class ProductUsage {
+    /**
+     * Gets the stored usage of every product.
+     * @static
+     * @returns {Object.<string, {weight: number, lastUsed: string}>} Usage by product name
+     */
+    static getAll() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEYS.PRODUCT_USAGE)) || {};
+        } catch (error) {
+            console.error('Invalid product usage in localStorage, starting over:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Gets the current weight of every used product.
+     * @static
+     * @param {Date} [date=new Date()] - Date the weights are computed for
+     * @returns {Map<string, number>} Weight by product name
+     */
+    static getWeights(date = new Date()) {
+        const usage = this.getAll();
+        return new Map(Object.keys(usage).map(name => [name, this.getWeight(usage[name], date)]));
+    }
+
+    /**
+     * Records that a product was added to a quote.
+     * @static
+     * @param {string} name - Catalog name of the product
+     * @param {Date} [date=new Date()] - Date of use
+     * @returns {number} The new weight of the product
+     */
+    static record(name, date = new Date()) {
+        const usage = this.getAll();
+        const weight = this.getWeight(usage[name], date) + 1;
+
+        usage[name] = { weight, lastUsed: date.toISOString() };
+        localStorage.setItem(STORAGE_KEYS.PRODUCT_USAGE, JSON.stringify(usage));
+        return weight;
+    }
+
+    /**
+     * Forgets the usage of every product.
+     * @static
+     */
+    static reset() {
+        localStorage.removeItem(STORAGE_KEYS.PRODUCT_USAGE);
+    }
+
+    /**
+     * Computes the weight of a usage entry at a given date.
+     * @static
+     * @private
+     * @param {?{weight: number, lastUsed: string}} entry - Stored usage of a product
+     * @param {Date} date - Date the weight is computed for
+     * @returns {number} The decayed weight, 0 for unused products
+     */
+    static getWeight(entry, date) {
+        if (!entry) return 0;
+
+        const days = Math.max(0, date - new Date(entry.lastUsed)) / DAY_MS;
+        return entry.weight * Math.pow(0.5, days / USAGE.halfLifeDays);
+    }
+}
@@ -1,4 +1,74 @@
-import { CURRENCY } from './constants.js';
+import { CURRENCY, CURRENCIES } from './constants.js';
+import { categoryLabels } from './data/productList.js';
+
+/**
+ * Spanish words for the numbers from 1 to 29, which are written as one word.
+ * @constant {string[]}
+ */
+const UNIT_WORDS = ['', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve',
+    'diez', 'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve',
+    'veinte', 'veintiuno', 'veintidós', 'veintitrés', 'veinticuatro', 'veinticinco', 'veintiséis', 'veintisiete',
+    'veintiocho', 'veintinueve'];
+
+/**
+ * Spanish words for the tens from 30 to 90.
+ * @constant {string[]}
+ */
+const TEN_WORDS = ['', '', '', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'];
+
+/**
+ * Spanish words for the hundreds (masculine), 100 being "cien" when it stands alone.
+ * @constant {string[]}
+ */
+const HUNDRED_WORDS = ['', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos', 'seiscientos',
+    'setecientos', 'ochocientos', 'novecientos'];
+
+/**
+ * Writes a number from 1 to 999 in Spanish words.
+ * @param {number} number - Number to write
+ * @param {string} one - Form of a final one: 'uno' alone, 'un' before a masculine noun or 'una' before a feminine one
+ * @returns {string} The number in words
+ */
+const hundredsToWords = (number, one) => {
+    if (number === 100) return 'cien';
+
+    const hundreds = Math.floor(number / 100);
+    const rest = number % 100;
+    const words = [];
+    if (hundreds) {
+        words.push(one === 'una' ? HUNDRED_WORDS[hundreds].replace(/os$/, 'as') : HUNDRED_WORDS[hundreds]);
+    }
+    if (rest >= 30) {
+        words.push(TEN_WORDS[Math.floor(rest / 10)]);
+        if (rest % 10) words.push('y', UNIT_WORDS[rest % 10]);
+    } else if (rest) {
+        words.push(UNIT_WORDS[rest]);
+    }
+
+    const text = words.join(' ');
+    if (one === 'uno' || !text.endsWith('uno')) return text;
+    if (one === 'una') return `${text.slice(0, -3)}una`;
+    return `${text.slice(0, -3)}${text.endsWith('veintiuno') ? 'ún' : 'un'}`;
+};
+
+/**
+ * Writes a number from 1 to 999,999 in Spanish words.
+ * @param {number} number - Number to write
+ * @param {string} one - Form of a final one (see {@link hundredsToWords})
+ * @returns {string} The number in words
+ */
+const thousandsToWords = (number, one) => {
+    const thousands = Math.floor(number / 1000);
+    const rest = number % 1000;
+    const words = [];
+    if (thousands === 1) {
+        words.push('mil');
+    } else if (thousands) {
+        words.push(`${hundredsToWords(thousands, one === 'una' ? 'una' : 'un')} mil`);
+    }
+    if (rest) words.push(hundredsToWords(rest, one));
+    return words.join(' ');
+};
 
 /**
  * Utility class providing helper methods for quote-related operations.
@@ -6,55 +76,291 @@ import { CURRENCY } from './constants.js';
  */
 export class QuoteUtils {
     /**
-     * Formats a number into a currency string with the system's currency symbol and code.
+     * Formats a number into a currency string with the currency symbol and code.
      * @param {number} amount - The monetary amount to format
-     * @returns {string} Formatted currency string (e.g., "Q1,234.56 GTQ")
+     * @param {string} [code=CURRENCY.code] - Currency code (see {@link CURRENCIES})
+     * @returns {string} Formatted currency string (e.g., "Q1,234.56 GTQ" or "$1,234.56 USD")
      */
-    static formatCurrency(amount) {
-        return `${CURRENCY.symbol}${amount.toLocaleString('es-GT', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${CURRENCY.code}`;
+    static formatCurrency(amount, code = CURRENCY.code) {
+        const currency = CURRENCIES[code] || CURRENCY;
+        return `${currency.symbol}${amount.toLocaleString(currency.locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${currency.code}`;
     }
 
     /**
-     * Extracts initials from a full name.
-     * @param {string} name - The full name to process
-     * @returns {string} Uppercase initials from each word in the name
+     * Writes a whole number in Spanish words, up to 999,999,999,999.
+     * @param {number} number - Whole number to write
+     * @param {string} [one='uno'] - Form of a final one: 'uno' when the number stands alone,
+     * 'un' before a masculine noun or 'una' before a feminine one (feminine hundreds agree too)
+     * @returns {string} The number in lowercase words
      * @example
-     * QuoteUtils.getInitials("John Doe") // Returns "JD"
+     * QuoteUtils.numberToWords(1234) // Returns "mil doscientos treinta y cuatro"
+     * QuoteUtils.numberToWords(21, 'un') // Returns "veintiún"
+     * QuoteUtils.numberToWords(201, 'una') // Returns "doscientas una"
+     * QuoteUtils.numberToWords(2000000) // Returns "dos millones"
      */
-    static getInitials(name) {
-        return name.split(' ')
-            .map(word => word.charAt(0).toUpperCase())
-            .join('');
+    static numberToWords(number, one = 'uno') {
+        if (number === 0) return 'cero';
+
+        const millions = Math.floor(number / 1000000);
+        const rest = number % 1000000;
+        const words = [];
+        if (millions === 1) {
+            words.push('un millón');
+        } else if (millions) {
+            words.push(`${thousandsToWords(millions, 'un')} millones`);
+        }
+        if (rest) words.push(thousandsToWords(rest, one));
+        return words.join(' ');
     }
 
     /**
-     * Removes separators from a date string.
-     * @param {string} date - The date string to clean
-     * @returns {string} Date string with all forward slashes and hyphens removed
+     * Writes an amount in words as printed under the total of formal quotes:
+     * the whole units in words, the currency name and the cents over 100.
+     * @param {number} amount - Amount to write
+     * @param {string} [code=CURRENCY.code] - Currency code (see {@link CURRENCIES})
+     * @returns {string} The amount in uppercase words
      * @example
-     * QuoteUtils.cleanDate("2024-01-22") // Returns "20240122"
+     * QuoteUtils.amountToWords(1234.5) // Returns "MIL DOSCIENTOS TREINTA Y CUATRO QUETZALES CON 50/100"
+     * QuoteUtils.amountToWords(1, 'USD') // Returns "UN DÓLAR CON 00/100"
+     * QuoteUtils.amountToWords(1000000) // Returns "UN MILLÓN DE QUETZALES CON 00/100"
      */
-    static cleanDate(date) {
-        return date.replace(/[/-]/g, '');
+    static amountToWords(amount, code = CURRENCY.code) {
+        const currency = CURRENCIES[code] || CURRENCY;
+        const cents = Math.round(Math.abs(amount) * 100);
+        const units = Math.floor(cents / 100);
+        const words = this.numberToWords(units, currency.feminine ? 'una' : 'un');
+        const name = units === 1 ? currency.name : currency.plural;
+        const of = units >= 1000000 && units % 1000000 === 0 ? ' de' : '';
+        return `${words}${of} ${name} con ${String(cents % 100).padStart(2, '0')}/100`.toUpperCase();
     }
 
     /**
-     * Generates a padded quote identifier from a counter number.
-     * @param {number} counter - The counter value to format
-     * @returns {string} Three-digit padded string representation of the counter
+     * Formats an exchange rate as an amount of the base currency, with up to four decimals.
+     * @param {number} rate - Amount of the base currency per unit of another currency
+     * @returns {string} Formatted rate (e.g., "Q7.6543 GTQ")
+     */
+    static formatRate(rate) {
+        return `${CURRENCY.symbol}${rate.toLocaleString(CURRENCY.locale, { minimumFractionDigits: 2, maximumFractionDigits: 4 })} ${CURRENCY.code}`;
+    }
+
+    /**
+     * Describes the exchange rate of a quote issued in a currency other than the base one.
+     * @param {{code: string, rate: number, rateDate: ?string}} currency - Currency of the quote (see {@link QuoteState#currency})
+     * @returns {string} Description, or an empty string for quotes in the base currency
+     * @example
+     * QuoteUtils.describeExchangeRate({ code: 'USD', rate: 7.7, rateDate: '2026-10-01' })
+     * // Returns "Montos en USD. Tipo de cambio: Q7.70 GTQ por $1.00 USD, vigente desde el 1/10/2026." (es-GT locale)
+     */
+    static describeExchangeRate({ code, rate, rateDate }) {
+        if (code === CURRENCY.code) return '';
+
+        const since = this.parseDateInput(rateDate);
+        return `Montos en ${code}. Tipo de cambio: ${this.formatRate(rate)} por ${this.formatCurrency(1, code)}` +
+            `${since ? `, vigente desde el ${this.formatDate(since)}` : ''}.`;
+    }
+
+    /**
+     * Converts a rate into a percentage without floating point noise.
+     * @param {number} rate - Rate as a fraction
+     * @returns {number} Percentage rounded to two decimals
      * @example
-     * QuoteUtils.generateQuoteIdentifier(1) // Returns "001"
+     * QuoteUtils.toPercent(0.12) // Returns 12
      */
-    static generateQuoteIdentifier(counter) {
-        return counter.toString().padStart(3, '0');
+    static toPercent(rate) {
+        return Math.round(rate * 10000) / 100;
     }
 
     /**
-     * Gets the current date in localized string format.
-     * @returns {string} Current date formatted according to the system's locale
+     * Builds the label of the IVA row for a tax configuration.
+     * @param {Object} tax - Tax configuration of the quote
+     * @param {string} tax.mode - 'included' or 'added'
+     * @param {number} tax.rate - Tax rate
+     * @returns {string} Label such as "IVA (12%):" or "IVA incluido (12%):"
+     * @example
+     * QuoteUtils.getTaxLabel({ mode: 'included', rate: 0.12 }) // Returns "IVA incluido (12%):"
      */
-    static getCurrentDate() {
-        return new Date().toLocaleDateString();
+    static getTaxLabel({ mode, rate }) {
+        const percent = this.toPercent(rate);
+        return mode === 'included' ? `IVA incluido (${percent}%):` : `IVA (${percent}%):`;
+    }
+
+    /**
+     * Parses a discount typed by the user: a number followed by "%" is a percentage,
+     * any other number is a fixed amount.
+     * @param {string} text - Text to parse (e.g. "10%" or "25.50"); currency symbols are ignored
+     * @returns {?{type: string, value: number}} The discount, or null if the text is empty;
+     * `value` is NaN when the text is not a number
+     * @example
+     * QuoteUtils.parseDiscount("10%") // Returns { type: 'percent', value: 10 }
+     * QuoteUtils.parseDiscount("25")  // Returns { type: 'amount', value: 25 }
+     */
+    static parseDiscount(text) {
+        const value = String(text ?? '').trim();
+        if (!value) return null;
+
+        const isPercent = value.endsWith('%');
+        const number = Object.values(CURRENCIES)
+            .reduce((text, { symbol }) => text.replace(symbol, ''), value.replace('%', ''))
+            .trim();
+        return {
+            type: isPercent ? 'percent' : 'amount',
+            value: number === '' ? NaN : Number(number)
+        };
+    }
+
+    /**
+     * Formats a discount for display or for editing.
+     * @param {?{type: string, value: number}} discount - Discount to format
+     * @param {boolean} [editable=false] - Return the plain form accepted by {@link QuoteUtils.parseDiscount}
+     * @returns {string} Formatted discount, or an empty string if there is none
+     */
+    static formatDiscount(discount, editable = false) {
+        if (!discount || !discount.value) return '';
+        if (discount.type === 'percent') return `${discount.value}%`;
+        return editable ? String(discount.value) : this.formatCurrency(discount.value);
+    }
+
+    /**
+     * Describes an applied discount as a negative amount, with the percentage when relevant.
+     * @param {?{type: string, value: number}} discount - Discount
+     * @param {number} amount - Discounted amount
+     * @param {string} [code=CURRENCY.code] - Currency code of the amount
+     * @returns {string} Description (e.g. "-Q10.00 GTQ (10%)"), or an empty string if there is no discount
+     */
+    static describeDiscount(discount, amount, code = CURRENCY.code) {
+        if (!discount || !amount) return '';
+        const description = `-${this.formatCurrency(amount, code)}`;
+        return discount.type === 'percent' ? `${description} (${discount.value}%)` : description;
+    }
+
+    /**
+     * Gets the percentage a discount represents over a base amount.
+     * @param {?{type: string, value: number}} discount - Discount
+     * @param {number} base - Amount the discount applies to
+     * @returns {number} Discount percentage
+     */
+    static getDiscountPercent(discount, base) {
+        if (!discount || !discount.value) return 0;
+        if (discount.type === 'percent') return discount.value;
+        return base > 0 ? discount.value / base * 100 : 100;
+    }
+
+    /**
+     * Gets the display name of a catalog category. Categories added by a
+     * catalog import are named by their key.
+     * @param {?string} categoria - Category key, or null for products outside the catalog
+     * @returns {string} Category name
+     * @example
+     * QuoteUtils.getCategoryLabel('plomeria') // Returns "Plomería"
+     * QuoteUtils.getCategoryLabel(null) // Returns "Otros productos"
+     */
+    static getCategoryLabel(categoria) {
+        return categoryLabels[categoria] || categoria || 'Otros productos';
+    }
+
+    /**
+     * Writes a NIT the way it is printed: digits, hyphen and check digit, or "CF".
+     * @param {string} nit - NIT as typed
+     * @returns {string} Formatted NIT, or an empty string when there is none
+     * @example
+     * QuoteUtils.formatNit("576937k") // Returns "576937-K"
+     * QuoteUtils.formatNit("c/f") // Returns "CF"
+     */
+    static formatNit(nit) {
+        const value = String(nit || '').toUpperCase().replace(/[\s-]/g, '');
+        if (value === 'CF' || value === 'C/F') return 'CF';
+        return value.length > 1 ? `${value.slice(0, -1)}-${value.slice(-1)}` : value;
+    }
+
+    /**
+     * Formats a date in localized string format.
+     * @param {Date} [date=new Date()] - Date to format
+     * @returns {string} Date formatted according to the system's locale
+     */
+    static formatDate(date = new Date()) {
+        return date.toLocaleDateString();
+    }
+
+    /**
+     * Gets the reference printed next to the document number: the expiry date
+     * of a quote, or the number of the quote a sales order or proforma comes from.
+     * @param {QuoteState} state - Document
+     * @returns {string[]} Label and value of the reference
+     */
+    static getDocumentReference(state) {
+        return state.isQuote()
+            ? ['Válida hasta', this.formatDate(state.getExpiryDate())]
+            : ['Cotización No.', state.metadata.source?.number || ''];
+    }
+
+    /**
+     * Gets the contact line printed under the company address: NIT, phones and email.
+     * @param {Object} company - Company profile (see {@link COMPANY})
+     * @returns {string} Contact details that are filled in, separated by " · "
+     * @example
+     * QuoteUtils.getCompanyContact({ nit: '1234567-8', phones: '5555-1234', email: '' }) // Returns "NIT 1234567-8 · Tel. 5555-1234"
+     */
+    static getCompanyContact({ nit, phones, email }) {
+        return [nit && `NIT ${nit}`, phones && `Tel. ${phones}`, email].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Formats a date as the value of a date input (YYYY-MM-DD, local time).
+     * @param {Date} date - Date to format
+     * @returns {string} Date input value
+     */
+    static toDateInputValue(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Parses the value of a date input as a local date.
+     * @param {string} value - Date input value (YYYY-MM-DD)
+     * @returns {?Date} The date, or null if the value is empty or invalid
+     */
+    static parseDateInput(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        if (!match) return null;
+
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return this.toDateInputValue(date) === value ? date : null;
+    }
+
+    /**
+     * Describes the validity of a quote for its observations.
+     * @param {number} days - Validity in days
+     * @param {Date} expiryDate - Last day the quote is valid
+     * @returns {string} Validity description
+     * @example
+     * QuoteUtils.describeValidity(7, new Date(2026, 9, 25)) // Returns "7 días, hasta el 25/10/2026" (es-GT locale)
+     */
+    static describeValidity(days, expiryDate) {
+        return `${days} ${days === 1 ? 'día' : 'días'}, hasta el ${this.formatDate(expiryDate)}`;
+    }
+
+    /**
+     * Resolves the placeholders of the observation lines of a quote:
+     * {validez}, {fecha_entrega} and {cliente} (see {@link QUOTE_OBSERVATIONS}).
+     * Sales orders and proformas do not expire, so lines with {validez} are left out.
+     * @param {QuoteState} state - Quote
+     * @returns {string[]} Observation lines ready to print
+     * @example
+     * // With the line 'Tiempo de entrega: {fecha_entrega}.' and no delivery date
+     * QuoteUtils.resolveObservations(state) // Returns ['Tiempo de entrega: a convenir.']
+     */
+    static resolveObservations(state) {
+        const { validityDays, deliveryDate } = state.metadata;
+        const values = {
+            validez: state.isQuote() ? this.describeValidity(validityDays, state.getExpiryDate()) : null,
+            fecha_entrega: deliveryDate ? this.formatDate(deliveryDate) : 'a convenir',
+            cliente: state.getClientName() || 'el cliente'
+        };
+
+        return state.observations
+            .filter(line => values.validez || !line.includes('{validez}'))
+            .map(line => line.replace(/\{(\w+)\}/g, (placeholder, key) => Object.hasOwn(values, key) ? values[key] : placeholder));
     }
 
     /**
@@ -14,11 +14,12 @@ export class Validations {
      * @static
      * @param {string} value - The value to validate
      * @param {string} errorMessage - The error message to display if validation fails
+     * @param {boolean} [notify=true] - Whether to display the error message
      * @throws {Error} If the value is empty or only contains whitespace
      */
-    static validateNotEmpty(value, errorMessage) {
-        if (!value || value.trim() === '') {
-            this.notyf.error(errorMessage);
+    static validateNotEmpty(value, errorMessage, notify = true) {
+        if (!value || String(value).trim() === '') {
+            if (notify) this.notyf.error(errorMessage);
             throw new Error(errorMessage);
         }
     }
@@ -29,12 +30,13 @@ export class Validations {
      * @param {string|number} value - The value to validate
      * @param {number} minValue - The minimum acceptable value
      * @param {string} errorMessage - The error message to display if validation fails
+     * @param {boolean} [notify=true] - Whether to display the error message
      * @throws {Error} If the value is not a number or is less than the minimum value
      */
-    static validateNumber(value, minValue, errorMessage) {
+    static validateNumber(value, minValue, errorMessage, notify = true) {
         const number = parseFloat(value);
         if (isNaN(number) || number < minValue) {
-            this.notyf.error(errorMessage);
+            if (notify) this.notyf.error(errorMessage);
             throw new Error(errorMessage);
         }
     }
@@ -53,23 +55,111 @@ export class Validations {
         try {
             // Validar el nombre del cliente
             this.validateNotEmpty(cliente, 'El nombre del cliente es obligatorio.');
+        } catch (error) {
+            return false; // Detener flujo si ocurre un error
+        }
+        return this.validateProduct({ nombre, cantidad, precio });
+    }
 
+    /**
+     * Validates the fields of a single quote line.
+     * Used both by the product form and by inline editing of table rows.
+     * @static
+     * @param {Object} product - The product fields to validate
+     * @param {string} product.nombre - The product name
+     * @param {string|number} product.cantidad - The quantity of the product
+     * @param {string|number} product.precio - The price of the product
+     * @param {Object} [options={}] - Validation options
+     * @param {boolean} [options.notify=true] - Whether to display error notifications
+     * @returns {boolean} True if all validations pass, false otherwise
+     */
+    static validateProduct({ nombre, cantidad, precio }, { notify = true } = {}) {
+        try {
             // Validar el nombre del producto
-            this.validateNotEmpty(nombre, 'El nombre del producto es obligatorio.');
+            this.validateNotEmpty(nombre, 'El nombre del producto es obligatorio.', notify);
 
             // Validar cantidad (número entero mayor o igual a 1)
-            this.validateNotEmpty(cantidad, 'La cantidad es obligatoria.');
-            this.validateNumber(cantidad, 1, 'La cantidad debe ser al menos 1.');
+            this.validateNotEmpty(cantidad, 'La cantidad es obligatoria.', notify);
+            this.validateNumber(cantidad, 1, 'La cantidad debe ser al menos 1.', notify);
 
             // Validar precio (número mayor o igual a 0)
-            this.validateNotEmpty(precio, 'El precio es obligatorio.');
-            this.validateNumber(precio, 0, 'El precio debe ser un número positivo.');
+            this.validateNotEmpty(precio, 'El precio es obligatorio.', notify);
+            this.validateNumber(precio, 0, 'El precio debe ser un número positivo.', notify);
         } catch (error) {
             return false; // Detener flujo si ocurre un error
         }
         return true; // Todo válido
     }
 
+    /**
+     * Validates a discount parsed with `QuoteUtils.parseDiscount`.
+     * Percentages must be between 0 and 100 and fixed amounts cannot exceed the base amount.
+     * @static
+     * @param {?{type: string, value: number}} discount - The discount to validate (null means no discount)
+     * @param {number} base - The amount the discount applies to
+     * @param {Object} [options={}] - Validation options
+     * @param {boolean} [options.notify=true] - Whether to display error notifications
+     * @returns {boolean} True if the discount is valid, false otherwise
+     */
+    static validateDiscount(discount, base, { notify = true } = {}) {
+        if (!discount) return true;
+
+        let errorMessage = null;
+        if (isNaN(discount.value) || discount.value < 0) {
+            errorMessage = 'El descuento debe ser un número positivo.';
+        } else if (discount.type === 'percent' && discount.value > 100) {
+            errorMessage = 'El descuento no puede ser mayor al 100%.';
+        } else if (discount.type === 'amount' && discount.value > base) {
+            errorMessage = 'El descuento no puede ser mayor al monto al que se aplica.';
+        }
+
+        if (errorMessage) {
+            if (notify) this.notyf.error(errorMessage);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Checks a Guatemalan NIT: the digits followed by a check digit (0-9 or K),
+     * with or without a hyphen, or "CF" for consumidor final.
+     * The check digit is 11 minus the remainder of dividing by 11 the sum of the
+     * digits weighted from right to left starting at 2 (10 is written as K).
+     * @static
+     * @param {string} nit - The NIT to check
+     * @returns {boolean} True if the NIT is valid
+     * @example
+     * Validations.isValidNit('576937-K') // Returns true
+     * Validations.isValidNit('CF') // Returns true
+     */
+    static isValidNit(nit) {
+        const value = String(nit || '').toUpperCase().replace(/[\s-]/g, '');
+        if (value === 'CF' || value === 'C/F') return true;
+
+        const match = value.match(/^(\d+)([\dK])$/);
+        if (!match) return false;
+
+        const [, digits, checkDigit] = match;
+        const sum = [...digits].reverse().reduce((total, digit, i) => total + Number(digit) * (i + 2), 0);
+        const expected = (11 - sum % 11) % 11;
+        return checkDigit === (expected === 10 ? 'K' : String(expected));
+    }
+
+    /**
+     * Validates a Guatemalan NIT (see {@link Validations.isValidNit}).
+     * @static
+     * @param {string} nit - The NIT to validate
+     * @param {Object} [options={}] - Validation options
+     * @param {boolean} [options.notify=true] - Whether to display error notifications
+     * @returns {boolean} True if the NIT is valid, false otherwise
+     */
+    static validateNit(nit, { notify = true } = {}) {
+        if (this.isValidNit(nit)) return true;
+
+        if (notify) this.notyf.error('El NIT no es válido. Revise el dígito verificador o use CF para consumidor final.');
+        return false;
+    }
+
     /**
      * Validates that there are products in the quote.
      * @static